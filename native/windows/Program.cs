@@ -1,7 +1,10 @@
 using System;
+using System.Collections.Generic;
 using System.Text.Json;
 using System.Threading.Tasks;
+using Windows.Media;
 using Windows.Media.Control;
+using Windows.Storage.Streams;
 
 namespace MediaHelper
 {
@@ -11,26 +14,45 @@ namespace MediaHelper
         private static GlobalSystemMediaTransportControlsSession? currentSession;
         private static string? lastTrackId;
         private static bool lastIsPlaying;
+        private static double lastPlaybackRate = 1.0;
+        private static long lastPosition; // Last reported position (ms), as of lastPositionUpdatedAt
+        private static long lastPositionUpdatedAt;
+        private static long lastEndTime;
+        private static bool? lastShuffle;
+        private static string? lastRepeat;
+        private static int? lastVolume;
+        private static bool? lastMuted;
         private static string? preferredApp = null; // "auto", "Spotify", "Chrome", etc.
+        private static string? targetSession = null; // SourceAppUserModelId from --session
+        private static readonly Dictionary<string, GlobalSystemMediaTransportControlsSession> watchedSessions = new();
+
+        // Same thresholds as the bridge: a position further than this from where it should be is a
+        // seek, and back within RestartWindow from at least RestartMinPosition is a restart
+        private const long PositionJumpTolerance = 1500;
+        private const long RestartWindow = 3000;
+        private const long RestartMinPosition = 5000;
 
         static async Task Main(string[] args)
         {
             if (args.Length == 0)
             {
-                Console.Error.WriteLine("Usage: MediaHelper.exe [watch|status|play|pause|next|previous|toggle] [--app AppName]");
+                Console.Error.WriteLine("Usage: MediaHelper.exe [watch|status|sessions|play|pause|next|previous|toggle|seek <positionMs>|volume [0-100]|mute [on|off|toggle]|shuffle <on|off>|repeat <off|track|playlist>] [--app AppName] [--session AppUserModelId]");
                 Environment.Exit(1);
                 return;
             }
 
             string command = args[0].ToLower();
 
-            // Parse optional --app parameter
-            for (int i = 1; i < args.Length; i++)
+            // Parse optional --app and --session parameters
+            for (int i = 1; i < args.Length - 1; i++)
             {
-                if (args[i] == "--app" && i + 1 < args.Length)
+                if (args[i] == "--app")
                 {
                     preferredApp = args[i + 1];
-                    break;
+                }
+                else if (args[i] == "--session")
+                {
+                    targetSession = args[i + 1];
                 }
             }
 
@@ -44,6 +66,9 @@ namespace MediaHelper
                     case "status":
                         await GetStatus();
                         break;
+                    case "sessions":
+                        await ListSessions();
+                        break;
                     case "play":
                         await SendCommand("play");
                         break;
@@ -59,6 +84,39 @@ namespace MediaHelper
                     case "previous":
                         await SendCommand("previous");
                         break;
+                    case "seek":
+                        if (args.Length < 2 || !long.TryParse(args[1], out long seekPosition))
+                        {
+                            Console.Error.WriteLine("Usage: MediaHelper.exe seek <positionMs> [--app AppName]");
+                            Environment.Exit(1);
+                            return;
+                        }
+                        await SeekTo(seekPosition);
+                        break;
+                    case "shuffle":
+                        if (args.Length < 2 || (args[1] != "on" && args[1] != "off"))
+                        {
+                            Console.Error.WriteLine("Usage: MediaHelper.exe shuffle <on|off> [--app AppName]");
+                            Environment.Exit(1);
+                            return;
+                        }
+                        await SetShuffle(args[1] == "on");
+                        break;
+                    case "repeat":
+                        if (args.Length < 2 || ParseRepeatMode(args[1]) == null)
+                        {
+                            Console.Error.WriteLine("Usage: MediaHelper.exe repeat <off|track|playlist> [--app AppName]");
+                            Environment.Exit(1);
+                            return;
+                        }
+                        await SetRepeat(ParseRepeatMode(args[1])!.Value);
+                        break;
+                    case "volume":
+                        SetVolume(args.Length > 1 && !args[1].StartsWith("--") ? args[1] : null);
+                        break;
+                    case "mute":
+                        SetMute(args.Length > 1 && !args[1].StartsWith("--") ? args[1] : "toggle");
+                        break;
                     default:
                         Console.Error.WriteLine($"Unknown command: {command}");
                         Environment.Exit(1);
@@ -90,14 +148,210 @@ namespace MediaHelper
 
             // Send initial status after ready
             await CheckAndEmitStatus();
+            await EmitSessions();
 
-            // Keep running
-            await Task.Delay(-1);
+            // Keep running, polling the output volume (Core Audio changes aren't part of GSMTC)
+            while (true)
+            {
+                CheckAndEmitVolume();
+                await Task.Delay(500);
+            }
+        }
+
+        static void CheckAndEmitVolume()
+        {
+            try
+            {
+                int volume = SystemVolume.GetVolume();
+                bool muted = SystemVolume.GetMuted();
+
+                if (volume != lastVolume || muted != lastMuted)
+                {
+                    lastVolume = volume;
+                    lastMuted = muted;
+
+                    var volumeChanged = new
+                    {
+                        type = "volume_changed",
+                        data = new { volume = volume, muted = muted }
+                    };
+                    Console.WriteLine(JsonSerializer.Serialize(volumeChanged));
+                }
+            }
+            catch (Exception ex)
+            {
+                Console.Error.WriteLine($"Error in CheckAndEmitVolume: {ex.Message}");
+            }
         }
 
         static async void OnSessionsChanged(GlobalSystemMediaTransportControlsSessionManager sender, SessionsChangedEventArgs args)
         {
             await CheckAndEmitStatus();
+            await EmitSessions();
+        }
+
+        static async void OnAnyMediaPropertiesChanged(GlobalSystemMediaTransportControlsSession sender, MediaPropertiesChangedEventArgs args)
+        {
+            await EmitSessions();
+        }
+
+        static async void OnAnyPlaybackInfoChanged(GlobalSystemMediaTransportControlsSession sender, PlaybackInfoChangedEventArgs args)
+        {
+            await EmitSessions();
+        }
+
+        // Emit every session with its own state whenever any of them changes
+        static async Task EmitSessions()
+        {
+            try
+            {
+                var sessions = sessionManager!.GetSessions();
+                var list = new List<object>();
+                var seen = new HashSet<string>();
+
+                foreach (var session in sessions)
+                {
+                    string id = session.SourceAppUserModelId;
+                    seen.Add(id);
+
+                    // Listen to sessions other than the current one too
+                    if (!watchedSessions.ContainsKey(id))
+                    {
+                        watchedSessions[id] = session;
+                        session.MediaPropertiesChanged += OnAnyMediaPropertiesChanged;
+                        session.PlaybackInfoChanged += OnAnyPlaybackInfoChanged;
+                    }
+
+                    list.Add(await DescribeSession(session));
+                }
+
+                foreach (var id in new List<string>(watchedSessions.Keys))
+                {
+                    if (!seen.Contains(id))
+                    {
+                        watchedSessions.Remove(id);
+                    }
+                }
+
+                var sessionsEvent = new
+                {
+                    type = "sessions",
+                    data = list
+                };
+                Console.WriteLine(JsonSerializer.Serialize(sessionsEvent));
+            }
+            catch (Exception ex)
+            {
+                Console.Error.WriteLine($"Error in EmitSessions: {ex.Message}");
+            }
+        }
+
+        static async Task<object> DescribeSession(GlobalSystemMediaTransportControlsSession session)
+        {
+            var playbackInfo = session.GetPlaybackInfo();
+            var timelineProps = session.GetTimelineProperties();
+            var mediaProperties = await session.TryGetMediaPropertiesAsync();
+
+            return new
+            {
+                id = session.SourceAppUserModelId,
+                appName = GetAppName(session.SourceAppUserModelId),
+                isPlaying = playbackInfo.PlaybackStatus == GlobalSystemMediaTransportControlsSessionPlaybackStatus.Playing,
+                position = (long)timelineProps.Position.TotalMilliseconds,
+                positionUpdatedAt = GetPositionUpdatedAt(timelineProps),
+                playbackRate = playbackInfo.PlaybackRate ?? 1.0,
+                shuffle = playbackInfo.IsShuffleActive,
+                repeat = FormatRepeatMode(playbackInfo.AutoRepeatMode),
+                track = mediaProperties == null ? null : DescribeTrack(session, mediaProperties, timelineProps)
+            };
+        }
+
+        // Position is as of LastUpdatedTime, not now; the bridge extrapolates from there at playbackRate
+        static Dictionary<string, object> DescribePlaybackState(
+            GlobalSystemMediaTransportControlsSessionPlaybackInfo playbackInfo,
+            GlobalSystemMediaTransportControlsSessionTimelineProperties timelineProps)
+        {
+            return new Dictionary<string, object>
+            {
+                ["isPlaying"] = playbackInfo.PlaybackStatus == GlobalSystemMediaTransportControlsSessionPlaybackStatus.Playing,
+                ["position"] = (long)timelineProps.Position.TotalMilliseconds,
+                ["positionUpdatedAt"] = GetPositionUpdatedAt(timelineProps),
+                ["playbackRate"] = playbackInfo.PlaybackRate ?? 1.0
+            };
+        }
+
+        static void EmitPlaybackState(
+            GlobalSystemMediaTransportControlsSessionPlaybackInfo playbackInfo,
+            GlobalSystemMediaTransportControlsSessionTimelineProperties timelineProps)
+        {
+            var state = DescribePlaybackState(playbackInfo, timelineProps);
+            lastIsPlaying = (bool)state["isPlaying"];
+            lastPlaybackRate = (double)state["playbackRate"];
+            lastPosition = (long)state["position"];
+            lastPositionUpdatedAt = (long)state["positionUpdatedAt"];
+
+            var playbackStateChanged = new
+            {
+                type = "playback_state_changed",
+                data = state
+            };
+            Console.WriteLine(JsonSerializer.Serialize(playbackStateChanged));
+        }
+
+        // Where the last reported position would be at time (epoch ms) if nothing had changed
+        static long GetExpectedPosition(long time)
+        {
+            if (!lastIsPlaying)
+            {
+                return lastPosition;
+            }
+            return lastPosition + (long)(Math.Max(0, time - lastPositionUpdatedAt) * lastPlaybackRate);
+        }
+
+        // Epoch ms; apps that never set the timeline leave LastUpdatedTime at its default
+        static long GetPositionUpdatedAt(GlobalSystemMediaTransportControlsSessionTimelineProperties timelineProps)
+        {
+            var updated = timelineProps.LastUpdatedTime;
+            return updated.Year > 1970 ? updated.ToUnixTimeMilliseconds() : DateTimeOffset.UtcNow.ToUnixTimeMilliseconds();
+        }
+
+        // The track as the bridge reads it; it turns empty strings and zeros into nulls
+        static Dictionary<string, object?> DescribeTrack(
+            GlobalSystemMediaTransportControlsSession session,
+            GlobalSystemMediaTransportControlsSessionMediaProperties? mediaProperties,
+            GlobalSystemMediaTransportControlsSessionTimelineProperties timelineProps)
+        {
+            var genres = mediaProperties?.Genres;
+            return new Dictionary<string, object?>
+            {
+                ["title"] = mediaProperties?.Title,
+                ["artist"] = mediaProperties?.Artist,
+                ["album"] = mediaProperties?.AlbumTitle,
+                ["albumArtist"] = mediaProperties?.AlbumArtist,
+                ["genre"] = genres != null && genres.Count > 0 ? string.Join(", ", genres) : null,
+                ["trackNumber"] = mediaProperties?.TrackNumber,
+                ["duration"] = (long)timelineProps.EndTime.TotalMilliseconds,
+                ["artwork"] = null,
+                ["appId"] = session.SourceAppUserModelId
+            };
+        }
+
+        static async Task ListSessions()
+        {
+            sessionManager = await GlobalSystemMediaTransportControlsSessionManager.RequestAsync();
+
+            var list = new List<object>();
+            foreach (var session in sessionManager.GetSessions())
+            {
+                list.Add(await DescribeSession(session));
+            }
+
+            var result = new
+            {
+                success = true,
+                sessions = list
+            };
+            Console.WriteLine(JsonSerializer.Serialize(result));
         }
 
         static async void OnMediaPropertiesChanged(GlobalSystemMediaTransportControlsSession sender, MediaPropertiesChangedEventArgs args)
@@ -110,6 +364,11 @@ namespace MediaHelper
             await CheckAndEmitStatus();
         }
 
+        static async void OnTimelinePropertiesChanged(GlobalSystemMediaTransportControlsSession sender, TimelinePropertiesChangedEventArgs args)
+        {
+            await CheckAndEmitStatus();
+        }
+
         static async Task CheckAndEmitStatus()
         {
             try
@@ -130,6 +389,7 @@ namespace MediaHelper
 
                         currentSession.MediaPropertiesChanged -= OnMediaPropertiesChanged;
                         currentSession.PlaybackInfoChanged -= OnPlaybackInfoChanged;
+                        currentSession.TimelinePropertiesChanged -= OnTimelinePropertiesChanged;
                         currentSession = null;
                     }
                     return;
@@ -142,16 +402,22 @@ namespace MediaHelper
                     {
                         currentSession.MediaPropertiesChanged -= OnMediaPropertiesChanged;
                         currentSession.PlaybackInfoChanged -= OnPlaybackInfoChanged;
+                        currentSession.TimelinePropertiesChanged -= OnTimelinePropertiesChanged;
                     }
 
                     currentSession = session;
                     currentSession.MediaPropertiesChanged += OnMediaPropertiesChanged;
                     currentSession.PlaybackInfoChanged += OnPlaybackInfoChanged;
+                    currentSession.TimelinePropertiesChanged += OnTimelinePropertiesChanged;
 
                     var connected = new
                     {
                         type = "media_connected",
-                        data = new { appName = GetAppName(session.SourceAppUserModelId) }
+                        data = new
+                        {
+                            appName = GetAppName(session.SourceAppUserModelId),
+                            session = session.SourceAppUserModelId
+                        }
                     };
                     Console.WriteLine(JsonSerializer.Serialize(connected));
                 }
@@ -161,85 +427,72 @@ namespace MediaHelper
 
                 var mediaProperties = await session.TryGetMediaPropertiesAsync();
                 bool isPlaying = playbackInfo.PlaybackStatus == GlobalSystemMediaTransportControlsSessionPlaybackStatus.Playing;
+                double playbackRate = playbackInfo.PlaybackRate ?? 1.0;
+
+                EmitPlaybackModeIfChanged(playbackInfo);
 
                 if (mediaProperties == null)
                 {
-                    // Emit a placeholder track if we haven't sent one yet for this session
+                    // Emit an empty track if we haven't sent one yet for this session
                     if (lastTrackId == null)
                     {
                         lastTrackId = "unknown";
+                        var track = DescribeTrack(session, null, timelineProps);
+                        track["appName"] = GetAppName(session.SourceAppUserModelId);
                         var trackChanged = new
                         {
                             type = "track_changed",
-                            data = new
-                            {
-                                title = "Playing from " + GetAppName(session.SourceAppUserModelId),
-                                artist = "Track information unavailable",
-                                album = "",
-                                duration = (int)timelineProps.EndTime.TotalSeconds,
-                                artwork = (string?)null,
-                                appName = GetAppName(session.SourceAppUserModelId)
-                            }
+                            data = track
                         };
                         Console.WriteLine(JsonSerializer.Serialize(trackChanged));
                     }
 
                     // Still emit playback state if we have it
-                    if (isPlaying != lastIsPlaying)
+                    if (isPlaying != lastIsPlaying || playbackRate != lastPlaybackRate)
                     {
-                        lastIsPlaying = isPlaying;
-                        var playbackStateChanged = new
-                        {
-                            type = "playback_state_changed",
-                            data = new
-                            {
-                                isPlaying = isPlaying,
-                                position = (int)timelineProps.Position.TotalSeconds
-                            }
-                        };
-                        Console.WriteLine(JsonSerializer.Serialize(playbackStateChanged));
+                        EmitPlaybackState(playbackInfo, timelineProps);
                     }
                     return;
                 }
 
-                string trackId = $"{mediaProperties.Title}|{mediaProperties.Artist}|{mediaProperties.AlbumTitle}";
+                long position = (long)timelineProps.Position.TotalMilliseconds;
+                long expectedPosition = GetExpectedPosition(GetPositionUpdatedAt(timelineProps));
+                long endTime = (long)timelineProps.EndTime.TotalMilliseconds;
+
+                // Different songs can share a title, artist and album (live albums, remasters), so the
+                // app and length are part of the key
+                string trackId = $"{session.SourceAppUserModelId}|{mediaProperties.Title}|{mediaProperties.Artist}|{mediaProperties.AlbumTitle}|{endTime}";
+
+                // Same track back near the start (repeat-one, previous): send it again, then its position
+                bool restarted = trackId == lastTrackId && endTime == lastEndTime &&
+                    position < RestartWindow && expectedPosition >= RestartMinPosition;
+                if (restarted)
+                {
+                    lastTrackId = null;
+                }
+                lastEndTime = endTime;
 
                 // Check if track changed
                 if (trackId != lastTrackId)
                 {
                     lastTrackId = trackId;
 
+                    var track = DescribeTrack(session, mediaProperties, timelineProps);
+                    track["artworkData"] = await ReadThumbnail(mediaProperties.Thumbnail);
+                    track["appName"] = GetAppName(session.SourceAppUserModelId);
                     var trackChanged = new
                     {
                         type = "track_changed",
-                        data = new
-                        {
-                            title = mediaProperties.Title ?? "Unknown",
-                            artist = mediaProperties.Artist ?? "Unknown Artist",
-                            album = mediaProperties.AlbumTitle ?? "Unknown Album",
-                            duration = (int)timelineProps.EndTime.TotalSeconds,
-                            artwork = (string?)null,
-                            appName = GetAppName(session.SourceAppUserModelId)
-                        }
+                        data = track
                     };
                     Console.WriteLine(JsonSerializer.Serialize(trackChanged));
                 }
 
-                // Check if playback state changed
-                if (isPlaying != lastIsPlaying)
+                // Check if playback state changed, or the position jumped (seek, restart, new track)
+                if (isPlaying != lastIsPlaying || playbackRate != lastPlaybackRate ||
+                    Math.Abs(position - expectedPosition) > PositionJumpTolerance)
                 {
-                    lastIsPlaying = isPlaying;
-
-                    var playbackStateChanged = new
-                    {
-                        type = "playback_state_changed",
-                        data = new
-                        {
-                            isPlaying = isPlaying,
-                            position = (int)timelineProps.Position.TotalSeconds
-                        }
-                    };
-                    Console.WriteLine(JsonSerializer.Serialize(playbackStateChanged));
+                    EmitPlaybackState(playbackInfo, timelineProps);
                 }
             }
             catch (Exception ex)
@@ -248,6 +501,86 @@ namespace MediaHelper
             }
         }
 
+        // The session's thumbnail as base64, or null if it has none
+        static async Task<string?> ReadThumbnail(IRandomAccessStreamReference? thumbnail)
+        {
+            if (thumbnail == null)
+            {
+                return null;
+            }
+
+            try
+            {
+                using var stream = await thumbnail.OpenReadAsync();
+                if (stream.Size == 0)
+                {
+                    return null;
+                }
+
+                var bytes = new byte[stream.Size];
+                using (var reader = new DataReader(stream))
+                {
+                    await reader.LoadAsync((uint)stream.Size);
+                    reader.ReadBytes(bytes);
+                }
+                return Convert.ToBase64String(bytes);
+            }
+            catch (Exception ex)
+            {
+                Console.Error.WriteLine($"Error reading thumbnail: {ex.Message}");
+                return null;
+            }
+        }
+
+        static void EmitPlaybackModeIfChanged(GlobalSystemMediaTransportControlsSessionPlaybackInfo playbackInfo)
+        {
+            bool? shuffle = playbackInfo.IsShuffleActive;
+            string? repeat = FormatRepeatMode(playbackInfo.AutoRepeatMode);
+
+            if (shuffle != lastShuffle || repeat != lastRepeat)
+            {
+                lastShuffle = shuffle;
+                lastRepeat = repeat;
+
+                var playbackModeChanged = new
+                {
+                    type = "playback_mode_changed",
+                    data = new { shuffle = shuffle, repeat = repeat }
+                };
+                Console.WriteLine(JsonSerializer.Serialize(playbackModeChanged));
+            }
+        }
+
+        static string? FormatRepeatMode(MediaPlaybackAutoRepeatMode? mode)
+        {
+            switch (mode)
+            {
+                case MediaPlaybackAutoRepeatMode.None:
+                    return "off";
+                case MediaPlaybackAutoRepeatMode.Track:
+                    return "track";
+                case MediaPlaybackAutoRepeatMode.List:
+                    return "playlist";
+                default:
+                    return null;
+            }
+        }
+
+        static MediaPlaybackAutoRepeatMode? ParseRepeatMode(string mode)
+        {
+            switch (mode)
+            {
+                case "off":
+                    return MediaPlaybackAutoRepeatMode.None;
+                case "track":
+                    return MediaPlaybackAutoRepeatMode.Track;
+                case "playlist":
+                    return MediaPlaybackAutoRepeatMode.List;
+                default:
+                    return null;
+            }
+        }
+
         static async Task GetStatus()
         {
             var session = GetCurrentSession();
@@ -267,6 +600,7 @@ namespace MediaHelper
 
             var mediaProperties = await session.TryGetMediaPropertiesAsync();
             var playbackInfo = session.GetPlaybackInfo();
+            var timelineProps = session.GetTimelineProperties();
 
             // Check if media properties are available
             if (mediaProperties == null)
@@ -287,15 +621,7 @@ namespace MediaHelper
                 connected = true,
                 appName = GetAppName(session.SourceAppUserModelId),
                 isPlaying = playbackInfo.PlaybackStatus == GlobalSystemMediaTransportControlsSessionPlaybackStatus.Playing,
-                track = new
-                {
-                    title = mediaProperties.Title ?? "Unknown",
-                    artist = mediaProperties.Artist ?? "Unknown Artist",
-                    album = mediaProperties.AlbumTitle ?? "Unknown Album",
-                    duration = 0,
-                    position = 0,
-                    artwork = (string?)null
-                }
+                track = DescribeTrack(session, mediaProperties, timelineProps)
             };
 
             Console.WriteLine(JsonSerializer.Serialize(status));
@@ -344,6 +670,131 @@ namespace MediaHelper
             Console.WriteLine(JsonSerializer.Serialize(result));
         }
 
+        static async Task SeekTo(long positionMs)
+        {
+            var session = GetCurrentSession();
+
+            if (session == null)
+            {
+                var response = new
+                {
+                    success = false,
+                    error = "No active media session"
+                };
+                Console.WriteLine(JsonSerializer.Serialize(response));
+                return;
+            }
+
+            // GSMTC positions are in ticks (100ns)
+            bool success = await session.TryChangePlaybackPositionAsync(TimeSpan.FromMilliseconds(positionMs).Ticks);
+
+            var result = new
+            {
+                success = success,
+                position = positionMs
+            };
+            Console.WriteLine(JsonSerializer.Serialize(result));
+        }
+
+        static async Task SetShuffle(bool enabled)
+        {
+            var session = GetCurrentSession();
+
+            if (session == null)
+            {
+                var response = new
+                {
+                    success = false,
+                    error = "No active media session"
+                };
+                Console.WriteLine(JsonSerializer.Serialize(response));
+                return;
+            }
+
+            bool success = await session.TryChangeShuffleActiveAsync(enabled);
+            WritePlaybackMode(session, success);
+        }
+
+        static async Task SetRepeat(MediaPlaybackAutoRepeatMode mode)
+        {
+            var session = GetCurrentSession();
+
+            if (session == null)
+            {
+                var response = new
+                {
+                    success = false,
+                    error = "No active media session"
+                };
+                Console.WriteLine(JsonSerializer.Serialize(response));
+                return;
+            }
+
+            bool success = await session.TryChangeAutoRepeatModeAsync(mode);
+            WritePlaybackMode(session, success);
+        }
+
+        static void WritePlaybackMode(GlobalSystemMediaTransportControlsSession session, bool success)
+        {
+            var playbackInfo = session.GetPlaybackInfo();
+            var result = new
+            {
+                success = success,
+                shuffle = playbackInfo.IsShuffleActive,
+                repeat = FormatRepeatMode(playbackInfo.AutoRepeatMode)
+            };
+            Console.WriteLine(JsonSerializer.Serialize(result));
+        }
+
+        static void SetVolume(string? level)
+        {
+            if (level != null)
+            {
+                if (!int.TryParse(level, out int volume))
+                {
+                    Console.Error.WriteLine("Usage: MediaHelper.exe volume [0-100]");
+                    Environment.Exit(1);
+                    return;
+                }
+                SystemVolume.SetVolume(volume);
+            }
+
+            WriteVolume();
+        }
+
+        static void SetMute(string mode)
+        {
+            switch (mode.ToLower())
+            {
+                case "on":
+                    SystemVolume.SetMuted(true);
+                    break;
+                case "off":
+                    SystemVolume.SetMuted(false);
+                    break;
+                case "toggle":
+                    SystemVolume.SetMuted(!SystemVolume.GetMuted());
+                    break;
+                default:
+                    Console.Error.WriteLine("Usage: MediaHelper.exe mute [on|off|toggle]");
+                    Environment.Exit(1);
+                    return;
+            }
+
+            WriteVolume();
+        }
+
+        static void WriteVolume()
+        {
+            var result = new
+            {
+                success = true,
+                volume = SystemVolume.GetVolume(),
+                muted = SystemVolume.GetMuted()
+            };
+            Console.WriteLine(JsonSerializer.Serialize(result));
+        }
+
         static GlobalSystemMediaTransportControlsSession? GetCurrentSession()
         {
             try
@@ -355,6 +806,21 @@ namespace MediaHelper
 
                 var sessions = sessionManager.GetSessions();
 
+                // An explicit --session wins over the preferred app
+                if (!string.IsNullOrEmpty(targetSession))
+                {
+                    foreach (var session in sessions)
+                    {
+                        if (session.SourceAppUserModelId == targetSession)
+                        {
+                            return session;
+                        }
+                    }
+
+                    Console.Error.WriteLine($"Session '{targetSession}' not found in {sessions.Count} sessions");
+                    return null;
+                }
+
                 // If preferred app is specified (not auto or null), filter by app
                 if (!string.IsNullOrEmpty(preferredApp) && preferredApp.ToLower() != "auto")
                 {
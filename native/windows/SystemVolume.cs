@@ -0,0 +1,96 @@
+using System;
+using System.Runtime.InteropServices;
+
+namespace MediaHelper
+{
+    // Minimal Core Audio interop for the default output device's master volume.
+    // GSMTC has no volume API, so this reads/writes the endpoint volume directly.
+    static class SystemVolume
+    {
+        private const int eRender = 0;
+        private const int eMultimedia = 1;
+        private const int CLSCTX_ALL = 23;
+
+        [ComImport]
+        [Guid("BCDE0395-E52F-467C-8E3D-C4579291692E")]
+        private class MMDeviceEnumeratorComObject
+        {
+        }
+
+        [ComImport]
+        [Guid("A95664D2-9614-4F35-A746-DE8DB63617E6")]
+        [InterfaceType(ComInterfaceType.InterfaceIsIUnknown)]
+        private interface IMMDeviceEnumerator
+        {
+            int NotImpl1();
+
+            [PreserveSig]
+            int GetDefaultAudioEndpoint(int dataFlow, int role, out IMMDevice device);
+        }
+
+        [ComImport]
+        [Guid("D666063F-1587-4E43-81F1-B948E807363F")]
+        [InterfaceType(ComInterfaceType.InterfaceIsIUnknown)]
+        private interface IMMDevice
+        {
+            [PreserveSig]
+            int Activate(ref Guid iid, int clsCtx, IntPtr activationParams, [MarshalAs(UnmanagedType.IUnknown)] out object endpointVolume);
+        }
+
+        [ComImport]
+        [Guid("5CDF2C82-841E-4546-9722-0CF74078229A")]
+        [InterfaceType(ComInterfaceType.InterfaceIsIUnknown)]
+        private interface IAudioEndpointVolume
+        {
+            int RegisterControlChangeNotify(IntPtr notify);
+            int UnregisterControlChangeNotify(IntPtr notify);
+            int GetChannelCount(out uint channelCount);
+            int SetMasterVolumeLevel(float levelDb, ref Guid eventContext);
+            int SetMasterVolumeLevelScalar(float level, ref Guid eventContext);
+            int GetMasterVolumeLevel(out float levelDb);
+            int GetMasterVolumeLevelScalar(out float level);
+            int SetChannelVolumeLevel(uint channel, float levelDb, ref Guid eventContext);
+            int SetChannelVolumeLevelScalar(uint channel, float level, ref Guid eventContext);
+            int GetChannelVolumeLevel(uint channel, out float levelDb);
+            int GetChannelVolumeLevelScalar(uint channel, out float level);
+            int SetMute([MarshalAs(UnmanagedType.Bool)] bool isMuted, ref Guid eventContext);
+            int GetMute([MarshalAs(UnmanagedType.Bool)] out bool isMuted);
+        }
+
+        private static IAudioEndpointVolume GetEndpointVolume()
+        {
+            var enumerator = (IMMDeviceEnumerator)new MMDeviceEnumeratorComObject();
+            Marshal.ThrowExceptionForHR(enumerator.GetDefaultAudioEndpoint(eRender, eMultimedia, out IMMDevice device));
+
+            var iid = typeof(IAudioEndpointVolume).GUID;
+            Marshal.ThrowExceptionForHR(device.Activate(ref iid, CLSCTX_ALL, IntPtr.Zero, out object endpointVolume));
+            return (IAudioEndpointVolume)endpointVolume;
+        }
+
+        // Volume as 0-100
+        public static int GetVolume()
+        {
+            GetEndpointVolume().GetMasterVolumeLevelScalar(out float level);
+            return (int)Math.Round(level * 100);
+        }
+
+        public static void SetVolume(int volume)
+        {
+            var context = Guid.Empty;
+            float level = Math.Clamp(volume, 0, 100) / 100f;
+            GetEndpointVolume().SetMasterVolumeLevelScalar(level, ref context);
+        }
+
+        public static bool GetMuted()
+        {
+            GetEndpointVolume().GetMute(out bool isMuted);
+            return isMuted;
+        }
+
+        public static void SetMuted(bool isMuted)
+        {
+            var context = Guid.Empty;
+            GetEndpointVolume().SetMute(isMuted, ref context);
+        }
+    }
+}
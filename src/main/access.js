@@ -0,0 +1,91 @@
+const net = require('net');
+const config = require('./utils/config');
+
+// Cached BlockLists, rebuilt when the configured lists change
+let cachedKey = null;
+let cachedLists = null;
+
+const loopback = new net.BlockList();
+loopback.addSubnet('127.0.0.0', 8, 'ipv4');
+loopback.addAddress('::1', 'ipv6');
+
+// Parse "10.0.0.0/8", "192.168.1.20" or "fd00::/8" into { address, prefix, type }
+function parseCidr(entry) {
+  const [address, prefixText] = String(entry).trim().split('/');
+  const version = net.isIP(address);
+  if (!version) return null;
+
+  const type = version === 4 ? 'ipv4' : 'ipv6';
+  const maxPrefix = version === 4 ? 32 : 128;
+  const prefix = prefixText === undefined ? maxPrefix : Number(prefixText);
+  if (!Number.isInteger(prefix) || prefix < 0 || prefix > maxPrefix) return null;
+
+  return { address, prefix, type };
+}
+
+// Returns the entries that aren't valid addresses or CIDR ranges
+function findInvalidEntries(entries) {
+  return entries.filter(entry => !parseCidr(entry));
+}
+
+function buildBlockList(entries) {
+  const blockList = new net.BlockList();
+  for (const entry of entries) {
+    const cidr = parseCidr(entry);
+    if (cidr) {
+      blockList.addSubnet(cidr.address, cidr.prefix, cidr.type);
+    }
+  }
+  return blockList;
+}
+
+function getLists() {
+  const allowlist = config.get('server.allowlist') || [];
+  const denylist = config.get('server.denylist') || [];
+  const key = JSON.stringify([allowlist, denylist]);
+
+  if (key !== cachedKey) {
+    cachedKey = key;
+    cachedLists = {
+      allow: allowlist.length > 0 ? buildBlockList(allowlist) : null,
+      deny: denylist.length > 0 ? buildBlockList(denylist) : null
+    };
+  }
+
+  return cachedLists;
+}
+
+// Unwrap IPv4-mapped IPv6 addresses (::ffff:192.168.1.20)
+function unwrapAddress(address) {
+  return address.startsWith('::ffff:') && net.isIPv4(address.substring(7)) ? address.substring(7) : address;
+}
+
+// 'localhost', 127.0.0.0/8 or ::1
+function isLoopbackAddress(host) {
+  if (!host) return false;
+  if (host.toLowerCase() === 'localhost') return true;
+
+  const address = unwrapAddress(host);
+  const version = net.isIP(address);
+  return version !== 0 && loopback.check(address, version === 4 ? 'ipv4' : 'ipv6');
+}
+
+// Denylist wins over allowlist; an empty allowlist allows everyone
+function isAddressAllowed(remoteAddress) {
+  if (!remoteAddress) return false;
+
+  const address = unwrapAddress(remoteAddress);
+  const type = net.isIPv4(address) ? 'ipv4' : 'ipv6';
+  const lists = getLists();
+
+  if (lists.deny && lists.deny.check(address, type)) return false;
+  if (lists.allow && !lists.allow.check(address, type)) return false;
+  return true;
+}
+
+module.exports = {
+  parseCidr,
+  findInvalidEntries,
+  isLoopbackAddress,
+  isAddressAllowed
+};
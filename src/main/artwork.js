@@ -0,0 +1,290 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { fileURLToPath } = require('url');
+const logger = require('./utils/logger');
+const config = require('./utils/config');
+const { CommandError } = require('./commands');
+
+const ARTWORK_PATH = '/artwork';
+const MAX_ARTWORK_BYTES = 10 * 1024 * 1024;
+const DOWNLOAD_TIMEOUT = 5000;
+const MIN_SIZE = 16;
+const MAX_SIZE = 2048;
+const MAX_REMEMBERED_URLS = 500;
+
+// Only real images are cached, recognised by their first bytes rather than a server's Content-Type
+const IMAGE_TYPES = [
+  { mimeType: 'image/jpeg', ext: 'jpg', matches: data => data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff },
+  { mimeType: 'image/png', ext: 'png', matches: data => data.subarray(0, 4).toString('hex') === '89504e47' },
+  { mimeType: 'image/gif', ext: 'gif', matches: data => data.subarray(0, 4).toString('ascii') === 'GIF8' },
+  { mimeType: 'image/webp', ext: 'webp', matches: data => data.subarray(0, 4).toString('ascii') === 'RIFF' && data.subarray(8, 12).toString('ascii') === 'WEBP' }
+];
+
+const HASH_PATTERN = /^[a-f0-9]{32}$/;
+
+function hashData(data) {
+  return crypto.createHash('sha256').update(data).digest('hex').slice(0, 32);
+}
+
+function detectImageType(data) {
+  return IMAGE_TYPES.find(type => data.length > 12 && type.matches(data)) || null;
+}
+
+function getTypeByExt(ext) {
+  return IMAGE_TYPES.find(type => type.ext === ext) || null;
+}
+
+// ?size= is the longest edge in pixels; null means the original
+function parseArtworkSize(value) {
+  if (value === undefined || value === '') return null;
+
+  const size = Number(value);
+  if (!Number.isInteger(size) || size < MIN_SIZE || size > MAX_SIZE) {
+    throw new CommandError(`size must be an integer between ${MIN_SIZE} and ${MAX_SIZE}`);
+  }
+  return size;
+}
+
+// Electron's nativeImage does the resizing; without Electron (plain Node) images aren't resized
+function getNativeImage() {
+  try {
+    const electron = require('electron');
+    return electron && electron.nativeImage ? electron.nativeImage : null;
+  } catch {
+    return null;
+  }
+}
+
+// Artwork from any source (remote URL, local file, raw bytes) stored under
+// ~/.media-control-bridge/artwork, named by content hash and evicted least-recently-used first
+class ArtworkCache {
+  constructor() {
+    this.cacheDir = path.join(config.configDir, 'artwork');
+    this.index = null; // hash -> image type of the original, loaded on first use
+    this.urlHashes = new Map(); // Remote URL -> hash, so the same URL isn't downloaded twice
+  }
+
+  load() {
+    if (this.index) return this.index;
+
+    this.index = new Map();
+    try {
+      fs.mkdirSync(this.cacheDir, { recursive: true });
+      for (const file of fs.readdirSync(this.cacheDir)) {
+        const match = file.match(/^([a-f0-9]{32})\.(\w+)$/);
+        const type = match && getTypeByExt(match[2]);
+        if (type) {
+          this.index.set(match[1], type);
+        }
+      }
+    } catch (error) {
+      logger.error('Error loading artwork cache:', error.message);
+    }
+    return this.index;
+  }
+
+  getUrl(hash) {
+    return `${ARTWORK_PATH}/${hash}`;
+  }
+
+  // Hash for a source that's already cached, without fetching anything
+  peek(source) {
+    if (!source) return null;
+
+    const hash = source.data
+      ? hashData(Buffer.from(source.data, 'base64'))
+      : this.urlHashes.get(source.url);
+    return hash && this.load().has(hash) ? hash : null;
+  }
+
+  // Cache { url } or { data: base64 } and resolve with its hash (null if it isn't an image)
+  async store(source) {
+    if (!source) return null;
+
+    const known = this.peek(source);
+    if (known) return known;
+
+    try {
+      const data = source.data
+        ? Buffer.from(source.data, 'base64')
+        : await this.download(source.url);
+      if (!data) return null;
+
+      const hash = await this.save(data);
+      // Local files (e.g. Music's exported artwork) are overwritten per track, so only remember remote URLs
+      if (hash && /^https?:/.test(source.url || '')) {
+        this.rememberUrl(source.url, hash);
+      }
+      return hash;
+    } catch (error) {
+      logger.warn('Error caching artwork:', error.message);
+      return null;
+    }
+  }
+
+  async download(url) {
+    if (!url) return null;
+
+    if (url.startsWith('file:')) {
+      const file = fileURLToPath(url);
+      const { size } = await fs.promises.stat(file);
+      return size <= MAX_ARTWORK_BYTES ? fs.promises.readFile(file) : null;
+    }
+
+    if (url.startsWith('data:')) {
+      const match = url.match(/^data:[^,]*;base64,(.*)$/);
+      return match ? Buffer.from(match[1], 'base64') : null;
+    }
+
+    if (!/^https?:/.test(url)) return null;
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), DOWNLOAD_TIMEOUT);
+    try {
+      const response = await fetch(url, { signal: controller.signal });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status} from ${url}`);
+      }
+      if (Number(response.headers.get('content-length')) > MAX_ARTWORK_BYTES) {
+        return null;
+      }
+      const data = Buffer.from(await response.arrayBuffer());
+      return data.length <= MAX_ARTWORK_BYTES ? data : null;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async save(data) {
+    const type = detectImageType(data);
+    if (!type) {
+      logger.debug('Ignoring artwork that is not a JPEG, PNG, GIF or WebP image');
+      return null;
+    }
+
+    const hash = hashData(data);
+    const file = path.join(this.cacheDir, `${hash}.${type.ext}`);
+    const index = this.load();
+
+    if (index.has(hash)) {
+      this.touch(file);
+    } else {
+      await fs.promises.writeFile(file, data);
+      index.set(hash, type);
+      await this.evict(hash);
+    }
+    return hash;
+  }
+
+  rememberUrl(url, hash) {
+    this.urlHashes.delete(url);
+    this.urlHashes.set(url, hash);
+    if (this.urlHashes.size > MAX_REMEMBERED_URLS) {
+      this.urlHashes.delete(this.urlHashes.keys().next().value);
+    }
+  }
+
+  // Resolve with { data, mimeType, etag } for a cached image, scaled down to fit size x size
+  async get(hash, size = null) {
+    if (!HASH_PATTERN.test(hash || '')) return null;
+
+    const type = this.load().get(hash);
+    if (!type) return null;
+
+    const file = path.join(this.cacheDir, `${hash}.${type.ext}`);
+    let data;
+    try {
+      data = await fs.promises.readFile(file);
+    } catch {
+      this.index.delete(hash);
+      return null;
+    }
+    this.touch(file);
+
+    if (size) {
+      const resized = await this.getResized(hash, data, type, size);
+      if (resized) return resized;
+    }
+
+    return { data, mimeType: type.mimeType, etag: `"${hash}"` };
+  }
+
+  async getResized(hash, data, type, size) {
+    const ext = type.ext === 'jpg' ? 'jpg' : 'png';
+    const file = path.join(this.cacheDir, `${hash}-${size}.${ext}`);
+    const result = { mimeType: getTypeByExt(ext).mimeType, etag: `"${hash}-${size}"` };
+
+    try {
+      result.data = await fs.promises.readFile(file);
+      this.touch(file);
+      return result;
+    } catch {
+      // Not resized to this size yet
+    }
+
+    const nativeImage = getNativeImage();
+    if (!nativeImage) return null;
+
+    const image = nativeImage.createFromBuffer(data);
+    if (image.isEmpty()) return null;
+
+    // Never scale up
+    const { width, height } = image.getSize();
+    if (Math.max(width, height) <= size) return null;
+
+    const resized = image.resize(width >= height ? { width: size, quality: 'best' } : { height: size, quality: 'best' });
+    result.data = ext === 'jpg' ? resized.toJPEG(90) : resized.toPNG();
+
+    try {
+      await fs.promises.writeFile(file, result.data);
+      await this.evict(hash);
+    } catch (error) {
+      logger.warn('Error caching resized artwork:', error.message);
+    }
+    return result;
+  }
+
+  touch(file) {
+    const now = new Date();
+    fs.promises.utimes(file, now, now).catch(() => {});
+  }
+
+  // Delete least recently used files (originals and resized copies) until the cache fits
+  async evict(keepHash) {
+    const limit = (config.get('artwork.cacheSizeMB') || 100) * 1024 * 1024;
+
+    const files = [];
+    let total = 0;
+    for (const name of await fs.promises.readdir(this.cacheDir)) {
+      try {
+        const stats = await fs.promises.stat(path.join(this.cacheDir, name));
+        files.push({ name, size: stats.size, usedAt: stats.mtimeMs });
+        total += stats.size;
+      } catch {
+        // Deleted meanwhile
+      }
+    }
+    if (total <= limit) return;
+
+    files.sort((a, b) => a.usedAt - b.usedAt);
+    for (const file of files) {
+      if (total <= limit) break;
+      if (file.name.startsWith(keepHash)) continue;
+
+      try {
+        await fs.promises.unlink(path.join(this.cacheDir, file.name));
+        total -= file.size;
+        const match = file.name.match(/^([a-f0-9]{32})\.\w+$/);
+        if (match) {
+          this.index.delete(match[1]);
+        }
+      } catch (error) {
+        logger.warn(`Error evicting ${file.name} from the artwork cache:`, error.message);
+      }
+    }
+  }
+}
+
+module.exports = new ArtworkCache();
+module.exports.parseArtworkSize = parseArtworkSize;
@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+const config = require('./utils/config');
+
+// Token scopes: 'read' can query state and receive events, 'control' can also send commands
+const SCOPES = ['read', 'control'];
+
+function generateToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+function isAuthEnabled() {
+  return config.get('auth.enabled') === true;
+}
+
+// Generate any missing tokens so enabling auth never leaves a scope without one
+function ensureTokens() {
+  for (const scope of SCOPES) {
+    if (!config.get(`auth.${scope}Token`)) {
+      config.set(`auth.${scope}Token`, generateToken());
+    }
+  }
+}
+
+function regenerateToken(scope) {
+  if (!SCOPES.includes(scope)) {
+    throw new Error(`Unknown token scope: ${scope}`);
+  }
+  const token = generateToken();
+  config.set(`auth.${scope}Token`, token);
+  return token;
+}
+
+// Read a token from "Authorization: Bearer <token>" or the ?token= query parameter
+function getTokenFromRequest(req) {
+  const header = req.headers && req.headers.authorization;
+  if (header && header.startsWith('Bearer ')) {
+    return header.substring('Bearer '.length).trim();
+  }
+
+  const url = new URL(req.url, 'http://localhost');
+  return url.searchParams.get('token');
+}
+
+function tokensMatch(token, expected) {
+  if (!token || !expected) return false;
+  const a = Buffer.from(token);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Returns the scope a token grants ('control', 'read') or null if it isn't one of ours
+function getTokenScope(token) {
+  if (tokensMatch(token, config.get('auth.controlToken'))) return 'control';
+  if (tokensMatch(token, config.get('auth.readToken'))) return 'read';
+  return null;
+}
+
+// Returns the scope a request is allowed ('control', 'read') or null if it isn't authorized
+function getRequestScope(req) {
+  if (!isAuthEnabled()) return 'control';
+  return getTokenScope(getTokenFromRequest(req));
+}
+
+module.exports = {
+  SCOPES,
+  isAuthEnabled,
+  ensureTokens,
+  regenerateToken,
+  getTokenScope,
+  getRequestScope
+};
@@ -0,0 +1,161 @@
+// Shared media command table used by the WebSocket protocol and HTTP routes.
+// Commands that control a player accept { session } or { app } to target a specific session.
+// Argument parsers accept typed JSON values as well as strings (query params, text protocols).
+
+class CommandError extends Error {
+  constructor(message, code = 'invalid_args') {
+    super(message);
+    this.name = 'CommandError';
+    this.code = code;
+  }
+}
+
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+}
+
+function toBoolean(value) {
+  if (value === true || value === 'true') return true;
+  if (value === false || value === 'false') return false;
+  return undefined;
+}
+
+function parseSeekArgs(args = {}) {
+  const position = toNumber(args.position);
+  const offset = toNumber(args.offset);
+
+  if (position === undefined && offset === undefined) {
+    throw new CommandError('Provide a position or offset in milliseconds');
+  }
+
+  return position !== undefined ? { position } : { offset };
+}
+
+function parseVolumeArgs(args = {}) {
+  const volume = toNumber(args.volume);
+  const step = toNumber(args.step);
+  const muted = args.muted === 'toggle' ? 'toggle' : toBoolean(args.muted);
+
+  if (volume === undefined && step === undefined && muted === undefined) {
+    throw new CommandError('Provide volume (0-100), step, or muted');
+  }
+
+  return { volume, step, muted };
+}
+
+function parseShuffleArgs(args = {}) {
+  const enabled = args.enabled === 'toggle' ? 'toggle' : toBoolean(args.enabled);
+
+  if (enabled === undefined) {
+    throw new CommandError("Provide enabled (true, false or 'toggle')");
+  }
+
+  return enabled;
+}
+
+function parseRepeatArgs(args = {}) {
+  if (!['off', 'track', 'playlist', 'toggle'].includes(args.mode)) {
+    throw new CommandError("Provide mode ('off', 'track', 'playlist' or 'toggle')");
+  }
+
+  return args.mode;
+}
+
+// Resolve an optional { session } or { app } target to a session id (undefined = active player)
+function resolveTarget(mediaInterface, args = {}) {
+  if (!args.session && !args.app) return undefined;
+
+  const session = mediaInterface.findSession({ session: args.session, app: args.app });
+  if (!session) {
+    throw new CommandError(`No session matches ${args.session ? `session "${args.session}"` : `app "${args.app}"`}`, 'not_found');
+  }
+  return session.id;
+}
+
+// A session's state when targeted, otherwise the active player's
+function getTargetStatus(mediaInterface, args) {
+  const sessionId = resolveTarget(mediaInterface, args);
+  return sessionId ? mediaInterface.findSession({ session: sessionId }) : null;
+}
+
+const COMMANDS = {
+  status: (mediaInterface, args) => getTargetStatus(mediaInterface, args) || mediaInterface.getFullStatus(),
+
+  track: (mediaInterface, args) => {
+    const session = getTargetStatus(mediaInterface, args);
+    const trackInfo = session ? session.track && { ...session.track, appName: session.appName } : mediaInterface.getTrackInfo();
+    if (!trackInfo) {
+      throw new CommandError('No track currently playing', 'not_found');
+    }
+    return trackInfo;
+  },
+
+  sessions: (mediaInterface) => ({ success: true, sessions: mediaInterface.getSessions() }),
+
+  // The active player's position extrapolated to now, with what's needed to keep extrapolating
+  position: (mediaInterface) => {
+    const status = mediaInterface.getFullStatus();
+    if (!status.track) {
+      throw new CommandError('No track currently playing', 'not_found');
+    }
+    return {
+      success: true,
+      session: status.session,
+      isPlaying: status.isPlaying,
+      position: status.track.position,
+      duration: status.track.duration,
+      playbackRate: status.playbackRate,
+      positionUpdatedAt: status.track.positionUpdatedAt
+    };
+  },
+
+  play: (mediaInterface, args) => mediaInterface.play(resolveTarget(mediaInterface, args)),
+  pause: (mediaInterface, args) => mediaInterface.pause(resolveTarget(mediaInterface, args)),
+  toggle: (mediaInterface, args) => mediaInterface.toggle(resolveTarget(mediaInterface, args)),
+  next: (mediaInterface, args) => mediaInterface.next(resolveTarget(mediaInterface, args)),
+  previous: (mediaInterface, args) => mediaInterface.previous(resolveTarget(mediaInterface, args)),
+  seek: (mediaInterface, args) => mediaInterface.seek(parseSeekArgs(args), resolveTarget(mediaInterface, args)),
+
+  // Without args this reads the volume, otherwise it changes it
+  volume: (mediaInterface, args) => {
+    const hasArgs = ['volume', 'step', 'muted'].some(key => args[key] !== undefined);
+    return hasArgs
+      ? mediaInterface.setVolume(parseVolumeArgs(args))
+      : mediaInterface.getVolume();
+  },
+
+  shuffle: (mediaInterface, args) => mediaInterface.setShuffle(parseShuffleArgs(args), resolveTarget(mediaInterface, args)),
+  repeat: (mediaInterface, args) => mediaInterface.setRepeat(parseRepeatArgs(args), resolveTarget(mediaInterface, args))
+};
+
+// Commands a read-only client may run (volume only when reading)
+function isReadOnlyCommand(command, args = {}) {
+  if (['status', 'track', 'sessions', 'position'].includes(command)) return true;
+  if (command === 'volume') {
+    return !['volume', 'step', 'muted'].some(key => args[key] !== undefined);
+  }
+  return false;
+}
+
+async function runCommand(mediaInterface, command, args) {
+  const handler = Object.prototype.hasOwnProperty.call(COMMANDS, command) ? COMMANDS[command] : null;
+  if (!handler) {
+    throw new CommandError(`Unknown command: ${command}`, 'unknown_command');
+  }
+
+  return await handler(mediaInterface, args || {});
+}
+
+module.exports = {
+  CommandError,
+  COMMAND_NAMES: Object.keys(COMMANDS),
+  runCommand,
+  isReadOnlyCommand,
+  resolveTarget,
+  parseSeekArgs,
+  parseVolumeArgs,
+  parseShuffleArgs,
+  parseRepeatArgs
+};
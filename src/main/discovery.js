@@ -0,0 +1,141 @@
+const os = require('os');
+const { Bonjour } = require('bonjour-service');
+const logger = require('./utils/logger');
+const config = require('./utils/config');
+const auth = require('./auth');
+const access = require('./access');
+const packageJson = require('../../package.json');
+
+const SERVICE_TYPE = 'mcb';
+const WEBSOCKET_PATH = '/ws';
+
+// Scans are shared: callers during a scan, or within this long after it, get its result
+const SCAN_COOLDOWN = 10000;
+let lastScan = null; // { promise, finishedAt } of the most recent scan
+
+function getServiceName() {
+  return config.get('discovery.name') || `Media Control Bridge (${os.hostname()})`;
+}
+
+// TXT records clients can use without making a request
+function getTxtRecord(port) {
+  return {
+    version: packageJson.version,
+    port: String(port),
+    ws: WEBSOCKET_PATH,
+    auth: auth.isAuthEnabled() ? '1' : '0'
+  };
+}
+
+// Describe this bridge the same way a scan describes the others
+function describeBridge(port, host) {
+  return {
+    name: getServiceName(),
+    version: packageJson.version,
+    hostname: os.hostname(),
+    port,
+    websocketPath: WEBSOCKET_PATH,
+    authRequired: auth.isAuthEnabled(),
+    advertised: config.get('discovery.advertise') !== false && !access.isLoopbackAddress(host)
+  };
+}
+
+// Browse for other bridges for timeoutMs and resolve with everything found
+function browseForBridges(timeoutMs) {
+  return new Promise((resolve) => {
+    const bonjour = new Bonjour({}, (error) => {
+      logger.error('mDNS scan error:', error.message);
+    });
+    const browser = bonjour.find({ type: SERVICE_TYPE });
+
+    setTimeout(() => {
+      const bridges = browser.services.map(service => ({
+        name: service.name,
+        version: service.txt && service.txt.version,
+        hostname: service.host,
+        addresses: service.addresses || [],
+        port: service.port,
+        websocketPath: (service.txt && service.txt.ws) || WEBSOCKET_PATH,
+        authRequired: Boolean(service.txt && service.txt.auth === '1')
+      }));
+      browser.stop();
+      bonjour.destroy();
+      resolve(bridges);
+    }, timeoutMs);
+  });
+}
+
+// Each scan opens its own mDNS socket, so repeated requests reuse the running or last scan
+// (whose timeout wins) instead of starting another
+function scanForBridges(timeoutMs) {
+  if (lastScan && (lastScan.finishedAt === null || Date.now() - lastScan.finishedAt < SCAN_COOLDOWN)) {
+    return lastScan.promise;
+  }
+
+  const scan = { promise: null, finishedAt: null };
+  scan.promise = browseForBridges(timeoutMs).then((bridges) => {
+    scan.finishedAt = Date.now();
+    return bridges;
+  });
+  lastScan = scan;
+  return scan.promise;
+}
+
+class DiscoveryService {
+  constructor(httpServer) {
+    this.httpServer = httpServer;
+    this.bonjour = null;
+  }
+
+  start() {
+    if (config.get('discovery.advertise') === false) return;
+
+    // Localhost-only servers can't be reached from the LAN, so there's nothing to advertise
+    const host = this.httpServer.getHost();
+    if (access.isLoopbackAddress(host)) return;
+
+    const port = this.httpServer.getPort();
+    const name = getServiceName();
+    const txt = getTxtRecord(port);
+
+    this.bonjour = new Bonjour(host !== '0.0.0.0' ? { interface: host } : {}, (error) => {
+      logger.error('mDNS error:', error.message);
+    });
+
+    // _mcb._tcp for MCB-aware clients, _http._tcp so generic browsers list it too
+    for (const type of [SERVICE_TYPE, 'http']) {
+      const service = this.bonjour.publish({ name, type, port, txt });
+      service.on('error', (error) => {
+        logger.error(`mDNS advertisement for _${type}._tcp failed:`, error.message);
+      });
+    }
+
+    logger.info(`Advertising "${name}" via mDNS on port ${port}`);
+  }
+
+  stop() {
+    return new Promise((resolve) => {
+      if (!this.bonjour) {
+        resolve();
+        return;
+      }
+
+      const bonjour = this.bonjour;
+      this.bonjour = null;
+      // Send goodbye packets so browsers drop us right away
+      bonjour.unpublishAll(() => {
+        bonjour.destroy();
+        resolve();
+      });
+    });
+  }
+
+  async restart() {
+    await this.stop();
+    this.start();
+  }
+}
+
+module.exports = DiscoveryService;
+module.exports.describeBridge = describeBridge;
+module.exports.scanForBridges = scanForBridges;
@@ -0,0 +1,229 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('./utils/logger');
+const config = require('./utils/config');
+const { CommandError } = require('./commands');
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+
+// Columns in CSV exports, in order
+const CSV_FIELDS = ['startedAt', 'endedAt', 'listenedMs', 'title', 'artist', 'album', 'duration', 'appName', 'session'];
+
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(entries) {
+  const lines = [CSV_FIELDS.join(',')];
+  for (const entry of entries) {
+    lines.push(CSV_FIELDS.map(field => csvField(entry[field])).join(','));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+// ISO dates/times or epoch milliseconds. A bare date is a local day; as `to` it covers
+// the whole day.
+function parseDate(value, name, endOfDay) {
+  if (value === undefined || value === '') return null;
+
+  const text = String(value);
+  const isDay = /^\d{4}-\d{2}-\d{2}$/.test(text);
+  let time;
+  if (/^\d+$/.test(text)) {
+    time = Number(text);
+  } else if (isDay) {
+    time = new Date(`${text}T${endOfDay ? '23:59:59.999' : '00:00:00'}`).getTime();
+  } else {
+    time = Date.parse(text);
+  }
+
+  if (Number.isNaN(time)) {
+    throw new CommandError(`${name} must be an ISO date or a timestamp in milliseconds`);
+  }
+  return time;
+}
+
+// { from, to, limit, offset } from query parameters
+function parseHistoryQuery(query = {}) {
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+  const offset = query.offset === undefined ? 0 : Number(query.offset);
+
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new CommandError('limit must be a positive integer');
+  }
+  if (!Number.isInteger(offset) || offset < 0) {
+    throw new CommandError('offset must be zero or a positive integer');
+  }
+
+  return {
+    from: parseDate(query.from, 'from', false),
+    to: parseDate(query.to, 'to', true),
+    limit: Math.min(limit, MAX_PAGE_SIZE),
+    offset
+  };
+}
+
+// Records every track that plays, with how long it was actually listened to, in
+// ~/.media-control-bridge/history.jsonl (one JSON entry per line, appended when a track ends)
+class PlayHistory {
+  constructor() {
+    this.historyFile = path.join(config.configDir, 'history.jsonl');
+    this.entries = null; // Finished entries, oldest first; loaded on first use
+    this.current = null; // { entry, playingSince } for the track playing now
+    this.mediaInterface = null;
+    this.running = false;
+  }
+
+  start(mediaInterface) {
+    if (!this.mediaInterface) {
+      this.mediaInterface = mediaInterface;
+      this.setupMediaEventHandlers();
+    }
+    this.running = true;
+
+    // Pick up whatever is already playing
+    const track = mediaInterface.getTrackInfo();
+    if (track) {
+      this.begin({ ...track, session: mediaInterface.getActiveSessionId() });
+    }
+  }
+
+  // Close the current entry so a quit doesn't lose it
+  stop() {
+    this.finishCurrent();
+    this.running = false;
+  }
+
+  load() {
+    if (this.entries) return this.entries;
+
+    this.entries = [];
+    try {
+      if (fs.existsSync(this.historyFile)) {
+        for (const line of fs.readFileSync(this.historyFile, 'utf8').split('\n')) {
+          if (!line.trim()) continue;
+          try {
+            this.entries.push(JSON.parse(line));
+          } catch {
+            logger.warn('Skipping unreadable play history line');
+          }
+        }
+      }
+    } catch (error) {
+      logger.error('Error loading play history:', error.message);
+    }
+    return this.entries;
+  }
+
+  begin(track) {
+    if (config.get('history.enabled') === false) return;
+
+    this.current = {
+      entry: {
+        startedAt: new Date().toISOString(),
+        endedAt: null,
+        listenedMs: 0,
+        title: track.title,
+        artist: track.artist,
+        album: track.album,
+        duration: track.duration || 0,
+        appName: track.appName || null,
+        session: track.session || null,
+        trackId: track.trackId || null,
+        trackInstanceId: track.trackInstanceId || null
+      },
+      playingSince: this.mediaInterface.getPlaybackState().isPlaying ? Date.now() : null
+    };
+  }
+
+  getListenedMs(current) {
+    const playing = current.playingSince ? Date.now() - current.playingSince : 0;
+    return Math.round(current.entry.listenedMs + playing);
+  }
+
+  finishCurrent() {
+    if (!this.current) return;
+
+    const entry = {
+      ...this.current.entry,
+      endedAt: new Date().toISOString(),
+      listenedMs: this.getListenedMs(this.current)
+    };
+    this.current = null;
+
+    this.load().push(entry);
+    try {
+      config.ensureConfigDir();
+      fs.appendFileSync(this.historyFile, JSON.stringify(entry) + '\n');
+    } catch (error) {
+      logger.error('Error writing play history:', error.message);
+    }
+  }
+
+  setupMediaEventHandlers() {
+    this.mediaInterface.on('track_changed', (track) => {
+      if (!this.running) return;
+
+      // Controllers re-send the same track (e.g. once artwork arrives); that isn't a new play,
+      // but a repeat or restart of the same track gets a new trackInstanceId and its own entry
+      if (this.current && this.current.entry.trackInstanceId === track.trackInstanceId) {
+        this.current.entry.duration = track.duration || this.current.entry.duration;
+        return;
+      }
+
+      this.finishCurrent();
+      this.begin(track);
+    });
+
+    this.mediaInterface.on('playback_state_changed', (state) => {
+      if (!this.current) return;
+
+      if (state.isPlaying && !this.current.playingSince) {
+        this.current.playingSince = Date.now();
+      } else if (!state.isPlaying && this.current.playingSince) {
+        this.current.entry.listenedMs += Date.now() - this.current.playingSince;
+        this.current.playingSince = null;
+      }
+    });
+
+    this.mediaInterface.on('media_disconnected', () => {
+      this.finishCurrent();
+    });
+  }
+
+  // Finished entries plus the one in progress (endedAt: null), oldest first
+  getEntries({ from = null, to = null } = {}) {
+    const entries = [...this.load()];
+    if (this.current) {
+      entries.push({ ...this.current.entry, listenedMs: this.getListenedMs(this.current) });
+    }
+
+    return entries.filter(entry => {
+      const startedAt = Date.parse(entry.startedAt);
+      return (from === null || startedAt >= from) && (to === null || startedAt <= to);
+    });
+  }
+
+  // Newest first, one page at a time
+  query({ from, to, limit = DEFAULT_PAGE_SIZE, offset = 0 } = {}) {
+    const entries = this.getEntries({ from, to }).reverse();
+    return {
+      total: entries.length,
+      offset,
+      limit,
+      entries: entries.slice(offset, offset + limit)
+    };
+  }
+
+  // The whole range, oldest first, as 'csv' or 'json'
+  export(format, range) {
+    const entries = this.getEntries(range);
+    return format === 'csv' ? toCsv(entries) : JSON.stringify(entries, null, 2);
+  }
+}
+
+module.exports = new PlayHistory();
+module.exports.parseHistoryQuery = parseHistoryQuery;
@@ -1,14 +1,28 @@
 const { app } = require('electron');
 const logger = require('./utils/logger');
 const mediaInterface = require('./media/index');
+const history = require('./history');
+const rules = require('./rules');
 const HTTPServer = require('./server');
 const WebSocketServer = require('./websocket');
+const EventStream = require('./sse');
+const OSCServer = require('./osc');
+const MQTTBridge = require('./mqtt');
+const TextProtocolServer = require('./text-protocol');
+const NowPlayingFiles = require('./now-playing-files');
+const DiscoveryService = require('./discovery');
 const TrayManager = require('./tray');
 
 class MediaControlBridge {
   constructor() {
     this.httpServer = null;
     this.wsServer = null;
+    this.eventStream = null;
+    this.oscServer = null;
+    this.mqttBridge = null;
+    this.textServer = null;
+    this.nowPlayingFiles = null;
+    this.discovery = null;
     this.trayManager = null;
     this.mainWindow = null;
   }
@@ -20,6 +34,12 @@ class MediaControlBridge {
       // Initialize media interface
       await mediaInterface.initialize();
 
+      // Record played tracks
+      history.start(mediaInterface);
+
+      // Run automation rules on media events
+      rules.start(mediaInterface);
+
       // Start HTTP server
       this.httpServer = new HTTPServer(mediaInterface);
       await this.httpServer.start();
@@ -28,18 +48,46 @@ class MediaControlBridge {
       this.wsServer = new WebSocketServer(mediaInterface, this.httpServer);
       this.wsServer.start();
 
+      // Server-Sent Events at /events on the same HTTP server
+      this.eventStream = new EventStream(mediaInterface, this.httpServer);
+
+      // Start OSC server (no-op unless enabled); a busy UDP port shouldn't stop the app
+      this.oscServer = new OSCServer(mediaInterface);
+      await this.oscServer.start().catch(() => {});
+
+      // Connect to the MQTT broker (no-op unless enabled; reconnects in the background)
+      this.mqttBridge = new MQTTBridge(mediaInterface);
+      try {
+        this.mqttBridge.start();
+      } catch (error) {
+        logger.error('Failed to start MQTT bridge:', error.message);
+      }
+
+      // Start raw TCP/UDP text listeners (no-op unless enabled)
+      this.textServer = new TextProtocolServer(mediaInterface);
+      await this.textServer.start().catch(() => {});
+
+      // Write now-playing text files (no-op unless enabled)
+      this.nowPlayingFiles = new NowPlayingFiles(mediaInterface);
+      this.nowPlayingFiles.start();
+
+      // Advertise on the LAN via mDNS
+      this.discovery = new DiscoveryService(this.httpServer);
+      this.discovery.start();
+
       // Create system tray with settings change callback
       this.trayManager = new TrayManager(
         mediaInterface,
         this.httpServer,
         this.wsServer,
-        () => this.handleSettingsChanged()
+        (changes, restore) => this.handleSettingsChanged(changes, restore)
       );
       this.trayManager.create();
 
       logger.info('Media Control Bridge started successfully');
-      logger.info(`HTTP API: http://localhost:${this.httpServer.getPort()}`);
-      logger.info(`WebSocket: ws://localhost:${this.httpServer.getPort()}/ws`);
+      const host = this.httpServer.getHost() === '0.0.0.0' ? 'localhost' : this.httpServer.getHost();
+      logger.info(`HTTP API: http://${host}:${this.httpServer.getPort()}`);
+      logger.info(`WebSocket: ws://${host}:${this.httpServer.getPort()}/ws`);
 
     } catch (error) {
       logger.error('Failed to start Media Control Bridge:', error);
@@ -54,14 +102,41 @@ class MediaControlBridge {
       this.trayManager.destroy();
     }
 
+    if (this.discovery) {
+      await this.discovery.stop();
+    }
+
     if (this.wsServer) {
-      this.wsServer.stop();
+      await this.wsServer.stop();
+    }
+
+    if (this.eventStream) {
+      this.eventStream.stop();
+    }
+
+    if (this.oscServer) {
+      await this.oscServer.stop();
+    }
+
+    if (this.mqttBridge) {
+      await this.mqttBridge.stop();
+    }
+
+    if (this.textServer) {
+      await this.textServer.stop();
+    }
+
+    if (this.nowPlayingFiles) {
+      await this.nowPlayingFiles.stop();
     }
 
     if (this.httpServer) {
       await this.httpServer.stop();
     }
 
+    history.stop();
+    rules.stop();
+
     if (mediaInterface) {
       await mediaInterface.shutdown();
     }
@@ -69,10 +144,91 @@ class MediaControlBridge {
     logger.info('Media Control Bridge stopped');
   }
 
-  handleSettingsChanged() {
-    logger.info('Settings changed - restart required');
-    // Settings that require restart have been changed
-    // The user will need to restart the app manually
+  // Apply changed settings to the running app: { server, preferredApp, osc, mqtt, textProtocol, nowPlayingFiles, discovery } flag what changed.
+  // Each section is applied on its own. One that fails has its old config put back by restore(section)
+  // and is started again with it; returns { section: error message } for every section that failed.
+  async handleSettingsChanged(changes, restore = () => {}) {
+    const errors = {};
+    const apply = async (section, action, { retry = true } = {}) => {
+      try {
+        await action();
+      } catch (error) {
+        logger.error(`Failed to apply ${section} settings:`, error.message);
+        errors[section] = error.message;
+        restore(section);
+        if (!retry) return;
+        try {
+          await action();
+        } catch (retryError) {
+          logger.error(`Failed to restore ${section} settings:`, retryError.message);
+        }
+      }
+    };
+
+    // rebind() falls back to the previous port and address itself
+    if (changes.server) {
+      await apply('server', async () => {
+        logger.info('Server settings changed - rebinding');
+
+        // Tell WebSocket clients to reconnect (1012 = service restart)
+        await this.wsServer.stop(1012, 'Server settings changed');
+        this.eventStream.stop();
+        try {
+          await this.httpServer.rebind();
+        } finally {
+          this.wsServer.start();
+          this.trayManager.updateMenu();
+        }
+
+        logger.info(`HTTP API now on port ${this.httpServer.getPort()}`);
+      }, { retry: false });
+    }
+
+    // OSC and the text protocol bind to the same address as the HTTP server
+    if (changes.osc || changes.server) {
+      await apply('osc', async () => {
+        logger.info('OSC settings changed - restarting OSC server');
+        await this.oscServer.restart();
+      });
+    }
+
+    if (changes.textProtocol || changes.server) {
+      await apply('textProtocol', async () => {
+        logger.info('Text protocol settings changed - restarting listeners');
+        await this.textServer.restart();
+      });
+    }
+
+    // The advertised port and TXT records follow the server settings
+    if (changes.discovery || changes.server) {
+      await apply('discovery', async () => {
+        logger.info('Discovery settings changed - re-advertising');
+        await this.discovery.restart();
+      });
+    }
+
+    if (changes.mqtt) {
+      await apply('mqtt', async () => {
+        logger.info('MQTT settings changed - reconnecting');
+        await this.mqttBridge.restart();
+      });
+    }
+
+    if (changes.nowPlayingFiles) {
+      await apply('nowPlayingFiles', async () => {
+        logger.info('Now-playing file settings changed - rewriting files');
+        await this.nowPlayingFiles.restart();
+      });
+    }
+
+    if (changes.preferredApp) {
+      await apply('preferredApp', async () => {
+        logger.info('Preferred app changed - reconfiguring media controller');
+        await mediaInterface.reconfigure();
+      });
+    }
+
+    return errors;
   }
 }
 
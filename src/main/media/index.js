@@ -1,5 +1,32 @@
 const EventEmitter = require('events');
+const crypto = require('crypto');
 const logger = require('../utils/logger');
+const config = require('../utils/config');
+const artworkCache = require('../artwork');
+const { normalizeTrack, isSameTrack } = require('./track');
+
+// Clients extrapolate the position from position + positionUpdatedAt, so a report that's
+// within this of the extrapolated position isn't passed on
+const POSITION_DRIFT_TOLERANCE = 1500;
+
+// Jumping back to within RESTART_WINDOW of the start, from at least RESTART_MIN_POSITION into
+// the track, starts the track again (previous, repeat-one, seeking to 0)
+const RESTART_WINDOW = 3000;
+const RESTART_MIN_POSITION = 5000;
+
+// Controllers often report the next track's position before the track itself, so a jump back
+// only counts as a restart if no other track arrives within this
+const RESTART_GRACE = 1000;
+
+// Identifies one play of a track; a new one is made each time a track starts or restarts
+function createTrackInstanceId() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+// Session tracks get the same shape as the active track
+function normalizeSession(session) {
+  return { ...session, track: normalizeTrack(session.track) };
+}
 
 class MediaInterface extends EventEmitter {
   constructor() {
@@ -9,23 +36,42 @@ class MediaInterface extends EventEmitter {
     this.currentState = {
       isPlaying: false,
       position: 0,
+      positionUpdatedAt: null, // Server time (epoch ms) position was measured at
+      playbackRate: 1,
       connected: false
     };
+    this.currentMode = {
+      shuffle: null,
+      repeat: null
+    };
+    this.currentVolume = null;
     this.currentApp = null;
+    this.trackContext = null; // { appName, session } the current track was reported with
+    this.artworkHash = null; // Cache hash of the current track's artwork
+    this.lastSessions = new Map(); // Session id -> { session, at } last emitted, to drop position-only updates
+    this.pendingRestart = null; // { timer, position } while a jump back waits out RESTART_GRACE
   }
 
   async initialize() {
     logger.info('Initializing media interface');
 
     // Determine platform and load appropriate controller
-    const platform = process.platform;
+    // MCB_MEDIA_PLATFORM or media.platform can force a controller (e.g. 'mock' for development)
+    const override = process.env.MCB_MEDIA_PLATFORM || config.get('media.platform');
+    const platform = override && override !== 'auto' ? override : process.platform;
 
-    if (platform === 'darwin') {
+    if (platform === 'mock') {
+      const MockMediaController = require('./mock');
+      this.platformController = new MockMediaController();
+    } else if (platform === 'darwin') {
       const MacMediaController = require('./mac');
       this.platformController = new MacMediaController();
     } else if (platform === 'win32') {
       const WindowsMediaController = require('./windows');
       this.platformController = new WindowsMediaController();
+    } else if (platform === 'linux') {
+      const LinuxMediaController = require('./linux');
+      this.platformController = new LinuxMediaController();
     } else {
       logger.error('Unsupported platform:', platform);
       throw new Error('Unsupported platform: ' + platform);
@@ -43,19 +89,19 @@ class MediaInterface extends EventEmitter {
   }
 
   handlePlatformEvent(event, data) {
+    // Events about the active player are tagged with its session id
+    const session = this.getActiveSessionId();
+
     switch (event) {
       case 'track_changed':
         if (data) {
-          this.currentTrack = data;
-          this.emit('track_changed', data);
+          this.handleTrackChanged(data, session);
         }
         break;
 
       case 'playback_state_changed':
         if (data && typeof data.isPlaying !== 'undefined') {
-          this.currentState.isPlaying = data.isPlaying;
-          this.currentState.position = data.position || 0;
-          this.emit('playback_state_changed', data);
+          this.handlePlaybackState(data, session);
         }
         break;
 
@@ -63,38 +109,299 @@ class MediaInterface extends EventEmitter {
         if (data && data.appName) {
           this.currentApp = data.appName;
           this.currentState.connected = true;
-          this.emit('media_connected', data);
+          this.currentState.positionUpdatedAt = null; // The new app's first report always goes out
+          this.emit('media_connected', { ...data, session });
+        }
+        break;
+
+      case 'playback_mode_changed':
+        if (data) {
+          this.currentMode = {
+            shuffle: typeof data.shuffle === 'boolean' ? data.shuffle : null,
+            repeat: data.repeat || null
+          };
+          this.emit('playback_mode_changed', { ...this.currentMode, session });
+        }
+        break;
+
+      // Any player's state changed, or a player went away (multi-session controllers only)
+      case 'session_updated':
+        if (data && data.id) {
+          const sessionData = normalizeSession(data);
+          if (this.hasSessionChanged(sessionData)) {
+            this.lastSessions.set(sessionData.id, { session: sessionData, at: Date.now() });
+            this.emit(event, sessionData);
+          }
+        }
+        break;
+
+      case 'session_removed':
+        if (data && data.id) {
+          this.lastSessions.delete(data.id);
+          this.emit(event, data);
+        }
+        break;
+
+      case 'volume_changed':
+        if (data && typeof data.volume !== 'undefined') {
+          this.currentVolume = { volume: data.volume, muted: !!data.muted };
+          this.emit('volume_changed', this.currentVolume);
         }
         break;
 
       case 'media_disconnected':
+        this.endTrack('disconnected', this.cancelRestart());
         this.currentApp = null;
         this.currentState.connected = false;
+        this.currentState.positionUpdatedAt = null;
         this.currentTrack = null;
+        this.trackContext = null;
+        this.artworkHash = null;
+        this.currentMode = { shuffle: null, repeat: null };
         this.emit('media_disconnected', { connected: false });
         break;
     }
   }
 
-  // Control methods
-  async play() {
-    return await this.platformController.play();
+  // Controllers report the position every second or whenever they can; it's only passed on
+  // when playback changes or the position drifts from what clients extrapolate
+  handlePlaybackState(data, session) {
+    const state = {
+      isPlaying: data.isPlaying,
+      position: data.position || 0,
+      positionUpdatedAt: data.positionUpdatedAt || Date.now(),
+      playbackRate: typeof data.playbackRate === 'number' ? data.playbackRate : 1
+    };
+    if (this.isRestart(state)) {
+      this.scheduleRestart(this.getPosition(state.positionUpdatedAt), session);
+    } else if (this.isExpectedPlaybackState(state)) {
+      return;
+    }
+
+    Object.assign(this.currentState, state);
+    this.emit('playback_state_changed', { ...data, ...state, session });
+  }
+
+  isExpectedPlaybackState(state) {
+    const current = this.currentState;
+    if (current.positionUpdatedAt === null ||
+        state.isPlaying !== current.isPlaying ||
+        state.playbackRate !== current.playbackRate) {
+      return false;
+    }
+    if (!state.isPlaying) {
+      return state.position === current.position;
+    }
+    return Math.abs(state.position - this.getPosition(state.positionUpdatedAt)) <= POSITION_DRIFT_TOLERANCE;
+  }
+
+  isRestart(state) {
+    if (!this.currentTrack || this.currentState.positionUpdatedAt === null || this.pendingRestart) return false;
+    return state.position < RESTART_WINDOW && this.getPosition(state.positionUpdatedAt) >= RESTART_MIN_POSITION;
+  }
+
+  // position is where the play stopped, before the jump back
+  scheduleRestart(position, session) {
+    const timer = setTimeout(() => {
+      this.pendingRestart = null;
+      if (this.currentTrack) {
+        this.restartTrack(session, position);
+      }
+    }, RESTART_GRACE);
+    this.pendingRestart = { timer, position };
+  }
+
+  // Returns where the play stopped if a restart was pending, undefined otherwise
+  cancelRestart() {
+    if (!this.pendingRestart) return undefined;
+    clearTimeout(this.pendingRestart.timer);
+    const { position } = this.pendingRestart;
+    this.pendingRestart = null;
+    return position;
   }
 
-  async pause() {
-    return await this.platformController.pause();
+  // The active player's position at time (server epoch ms), extrapolated from the last report
+  getPosition(time = Date.now()) {
+    const { isPlaying, position, positionUpdatedAt, playbackRate } = this.currentState;
+    let extrapolated = position;
+    if (isPlaying && positionUpdatedAt !== null) {
+      extrapolated += Math.max(0, time - positionUpdatedAt) * playbackRate;
+    }
+
+    const duration = this.currentTrack ? this.currentTrack.duration : 0;
+    return Math.round(duration > 0 ? Math.min(extrapolated, duration) : extrapolated);
+  }
+
+  // Same rule for per-session updates: skip ones where only the position moved on as expected
+  hasSessionChanged(session) {
+    const last = this.lastSessions.get(session.id);
+    if (!last) return true;
+
+    const { position, ...rest } = session;
+    const { position: lastPosition, ...lastRest } = last.session;
+    if (JSON.stringify(rest) !== JSON.stringify(lastRest)) return true;
+
+    if (!session.isPlaying) {
+      return position !== lastPosition;
+    }
+    return Math.abs(position - (lastPosition + Date.now() - last.at)) > POSITION_DRIFT_TOLERANCE;
   }
 
-  async toggle() {
-    return await this.platformController.toggle();
+  // Controllers report artwork as a URL (remote or file://) or as raw bytes (artworkData, base64).
+  // Clients only ever see a URL served from the local artwork cache.
+  // A different track is a new play; the same one is an update (artwork, a late duration) to the
+  // track that's playing.
+  handleTrackChanged(data, session) {
+    const track = normalizeTrack(data);
+    const appName = data.appName || null;
+    const source = data.artworkData ? { data: data.artworkData } : track.artwork ? { url: track.artwork } : null;
+
+    const isNewPlay = !isSameTrack(this.currentTrack, track);
+    if (isNewPlay) {
+      // A jump back just before this was the new track's position, not a restart
+      this.endTrack('changed', this.cancelRestart());
+      // The new track's first position report always goes out
+      this.currentState.position = 0;
+      this.currentState.positionUpdatedAt = null;
+    }
+    const trackInstanceId = isNewPlay ? createTrackInstanceId() : this.currentTrack.trackInstanceId;
+
+    // Known remote artwork resolves right away; anything else is cached in the background
+    const known = artworkCache.peek(source);
+    this.artworkHash = known;
+    this.currentTrack = { ...track, trackInstanceId, artwork: known ? artworkCache.getUrl(known) : null };
+    this.trackContext = { appName, session };
+    this.emit('track_changed', { ...this.currentTrack, appName, session });
+    if (isNewPlay) {
+      this.emit('track_started', { ...this.currentTrack, appName, session });
+    }
+
+    if (!source || known) return;
+
+    const pendingTrack = this.currentTrack;
+    artworkCache.store(source).then((hash) => {
+      if (this.currentTrack !== pendingTrack) return;
+
+      // Fall back to the remote URL if it couldn't be cached (e.g. offline)
+      const artwork = hash ? artworkCache.getUrl(hash) : (source.url && /^https?:/.test(source.url) ? source.url : null);
+      if (!artwork) return;
+
+      this.artworkHash = hash;
+      this.currentTrack = { ...pendingTrack, artwork };
+      this.emit('track_changed', { ...this.currentTrack, appName, session });
+    });
   }
 
-  async next() {
-    return await this.platformController.next();
+  // Same track from the top: the old play ends and a new one starts
+  restartTrack(session, position) {
+    this.endTrack('restarted', position);
+    this.currentTrack = { ...this.currentTrack, trackInstanceId: createTrackInstanceId() };
+
+    const data = { ...this.currentTrack, appName: this.trackContext.appName, session };
+    this.emit('track_changed', data);
+    this.emit('track_started', data);
+    this.emit('track_restarted', data);
   }
 
-  async previous() {
-    return await this.platformController.previous();
+  // reason is 'changed', 'restarted' or 'disconnected'; position is where the play stopped
+  endTrack(reason, position = this.getPosition()) {
+    if (!this.currentTrack) return;
+
+    this.emit('track_ended', {
+      ...this.currentTrack,
+      ...this.trackContext,
+      position,
+      reason
+    });
+  }
+
+  getArtworkHash() {
+    return this.artworkHash;
+  }
+
+  // Control methods take an optional session id (see findSession); without one they
+  // control the active player
+  async play(sessionId) {
+    return await this.platformController.play(this.getTargetSessionId(sessionId));
+  }
+
+  async pause(sessionId) {
+    return await this.platformController.pause(this.getTargetSessionId(sessionId));
+  }
+
+  async toggle(sessionId) {
+    return await this.platformController.toggle(this.getTargetSessionId(sessionId));
+  }
+
+  async next(sessionId) {
+    return await this.platformController.next(this.getTargetSessionId(sessionId));
+  }
+
+  async previous(sessionId) {
+    return await this.platformController.previous(this.getTargetSessionId(sessionId));
+  }
+
+  // Seek to an absolute position, or by an offset from the current position (both in ms)
+  async seek({ position, offset } = {}, sessionId) {
+    const state = this.getSessionState(sessionId);
+    let target = typeof position === 'number'
+      ? position
+      : state.position + (offset || 0);
+
+    // Keep the target inside the current track
+    target = Math.max(0, Math.round(target));
+    if (state.track && state.track.duration > 0) {
+      target = Math.min(target, state.track.duration);
+    }
+
+    return await this.platformController.seek(target, this.getTargetSessionId(sessionId));
+  }
+
+  // Set shuffle on/off ('toggle' flips the current mode)
+  async setShuffle(enabled, sessionId) {
+    const shuffle = enabled === 'toggle' ? !this.getSessionState(sessionId).shuffle : enabled;
+    return await this.platformController.setShuffle(shuffle, this.getTargetSessionId(sessionId));
+  }
+
+  // Set repeat to 'off', 'track' or 'playlist' ('toggle' cycles off -> playlist -> track)
+  async setRepeat(mode, sessionId) {
+    const nextMode = { off: 'playlist', playlist: 'track', track: 'off' };
+    const repeat = mode === 'toggle' ? nextMode[this.getSessionState(sessionId).repeat] || 'playlist' : mode;
+    return await this.platformController.setRepeat(repeat, this.getTargetSessionId(sessionId));
+  }
+
+  async getVolume() {
+    return await this.platformController.getVolume();
+  }
+
+  // Set an absolute volume (0-100), step it up/down, and/or change mute ('toggle' flips it)
+  async setVolume({ volume, step, muted } = {}) {
+    let result = null;
+
+    if (typeof volume === 'number' || typeof step === 'number') {
+      let target = volume;
+      if (typeof target !== 'number') {
+        const current = await this.platformController.getVolume();
+        if (!current.success) return current;
+        target = current.volume + step;
+      }
+
+      result = await this.platformController.setVolume(Math.max(0, Math.min(100, Math.round(target))));
+      if (!result.success) return result;
+    }
+
+    if (typeof muted === 'boolean' || muted === 'toggle') {
+      let mute = muted;
+      if (mute === 'toggle') {
+        const current = result || await this.platformController.getVolume();
+        if (!current.success) return current;
+        mute = !current.muted;
+      }
+
+      result = await this.platformController.setMuted(mute);
+    }
+
+    return result || await this.platformController.getVolume();
   }
 
   // State getters
@@ -115,9 +422,12 @@ class MediaInterface extends EventEmitter {
   }
 
   getPlaybackState() {
+    const now = Date.now();
     return {
       isPlaying: this.currentState.isPlaying,
-      position: this.currentState.position
+      position: this.getPosition(now),
+      positionUpdatedAt: now,
+      playbackRate: this.currentState.playbackRate
     };
   }
 
@@ -129,29 +439,106 @@ class MediaInterface extends EventEmitter {
     return this.currentState.connected;
   }
 
+  // position is extrapolated to positionUpdatedAt (now, in server time)
   getFullStatus() {
     // Get display name (for macOS System mode, shows actual app name)
     const displayName = this.platformController && this.platformController.getDisplayAppName
       ? this.platformController.getDisplayAppName()
       : this.currentApp;
+    const now = Date.now();
 
     return {
       connected: this.currentState.connected,
       appName: displayName,
+      session: this.getActiveSessionId(),
       isPlaying: this.currentState.isPlaying,
+      playbackRate: this.currentState.playbackRate,
+      shuffle: this.currentMode.shuffle,
+      repeat: this.currentMode.repeat,
       track: this.currentTrack ? {
-        title: this.currentTrack.title,
-        artist: this.currentTrack.artist,
-        album: this.currentTrack.album,
-        artwork: this.currentTrack.artwork,
-        duration: this.currentTrack.duration,
-        position: this.currentState.position
+        ...this.currentTrack,
+        position: this.getPosition(now),
+        positionUpdatedAt: now
       } : null
     };
   }
 
+  // Every player the controller can see, each with its own state. Controllers without
+  // multi-session support report the active app as the only session.
+  getSessions() {
+    if (this.platformController && this.platformController.getSessions) {
+      return this.platformController.getSessions().map(normalizeSession);
+    }
+    if (!this.currentState.connected) {
+      return [];
+    }
+
+    const status = this.getFullStatus();
+    return [{
+      id: this.currentApp,
+      appName: status.appName,
+      active: true,
+      isPlaying: status.isPlaying,
+      position: status.track ? status.track.position : 0,
+      shuffle: status.shuffle,
+      repeat: status.repeat,
+      track: status.track
+    }];
+  }
+
+  getActiveSessionId() {
+    if (this.platformController && this.platformController.getActiveSessionId) {
+      return this.platformController.getActiveSessionId();
+    }
+    return this.currentApp;
+  }
+
+  // Find a session by exact id, or by app name (case-insensitive); null if nothing matches
+  findSession({ session, app } = {}) {
+    const sessions = this.getSessions();
+    if (session) {
+      return sessions.find(s => s.id === session) || null;
+    }
+    if (app) {
+      const wanted = String(app).toLowerCase();
+      return sessions.find(s => s.appName && s.appName.toLowerCase() === wanted) ||
+        sessions.find(s => s.id.toLowerCase().includes(wanted)) ||
+        null;
+    }
+    return null;
+  }
+
+  // Controllers only need a session id when it isn't the active player
+  getTargetSessionId(sessionId) {
+    return sessionId && sessionId !== this.getActiveSessionId() ? sessionId : undefined;
+  }
+
+  // Position, track and playback mode for the targeted (or active) session
+  getSessionState(sessionId) {
+    const target = this.getTargetSessionId(sessionId);
+    const session = target ? this.getSessions().find(s => s.id === target) : null;
+    if (session) {
+      return session;
+    }
+
+    return {
+      position: this.getPosition(),
+      track: this.currentTrack,
+      shuffle: this.currentMode.shuffle,
+      repeat: this.currentMode.repeat
+    };
+  }
+
+  // Apply changed media settings (e.g. media.preferredApp) to the running controller
+  async reconfigure() {
+    if (this.platformController && this.platformController.reconfigure) {
+      await this.platformController.reconfigure();
+    }
+  }
+
   async shutdown() {
     logger.info('Shutting down media interface');
+    this.cancelRestart();
     if (this.platformController) {
       await this.platformController.stop();
     }
@@ -159,3 +546,4 @@ class MediaInterface extends EventEmitter {
 }
 
 module.exports = new MediaInterface();
+module.exports.MediaInterface = MediaInterface;
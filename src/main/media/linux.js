@@ -0,0 +1,592 @@
+const dbus = require('dbus-next');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+
+// MPRIS2 players register a well-known name under this prefix on the session bus
+// (e.g. org.mpris.MediaPlayer2.spotify, org.mpris.MediaPlayer2.vlc)
+const MPRIS_PREFIX = 'org.mpris.MediaPlayer2.';
+const MPRIS_PATH = '/org/mpris/MediaPlayer2';
+const ROOT_INTERFACE = 'org.mpris.MediaPlayer2';
+const PLAYER_INTERFACE = 'org.mpris.MediaPlayer2.Player';
+const PROPERTIES_INTERFACE = 'org.freedesktop.DBus.Properties';
+
+// MPRIS LoopStatus <-> bridge repeat modes
+const LOOP_STATUS_TO_REPEAT = { None: 'off', Track: 'track', Playlist: 'playlist' };
+const REPEAT_TO_LOOP_STATUS = { off: 'None', track: 'Track', playlist: 'Playlist' };
+
+// Helper to unwrap a D-Bus variant into its plain value
+function unwrap(value) {
+  return value instanceof dbus.Variant ? value.value : value;
+}
+
+// Session ids are the bus name without the MPRIS prefix (e.g. "spotify", "firefox.instance_1_84")
+function getSessionId(busName) {
+  return busName.substring(MPRIS_PREFIX.length);
+}
+
+// xesam:artist, xesam:albumArtist and xesam:genre are lists, sometimes with empty entries
+function joinList(value) {
+  return Array.isArray(value) ? value.filter(item => item && item.trim()).join(', ') : value;
+}
+
+// MPRIS players without a track report this placeholder trackid
+const NO_TRACK_ID = '/org/mpris/MediaPlayer2/TrackList/NoTrack';
+
+// Helper to convert an MPRIS time value (microseconds, int64) to milliseconds
+function microsecondsToMs(value) {
+  const us = Number(unwrap(value));
+  return Number.isFinite(us) && us > 0 ? Math.floor(us / 1000) : 0;
+}
+
+class LinuxMediaController {
+  constructor() {
+    this.currentTrack = null;
+    this.currentState = {
+      isPlaying: false,
+      position: 0
+    };
+    this.currentVolume = null;
+    this.currentMode = null;
+    this.currentApp = null;
+    this.currentPlayer = null; // Bus name of the player being controlled
+    this.players = new Map(); // Bus name -> { identity, properties, player, status, metadata, position, ... }
+    this.bus = null;
+    this.dbusInterface = null;
+    this.pollInterval = null;
+    this.pollRate = 1000; // Position is not signalled by MPRIS, poll it while playing
+    this.isPolling = false;
+    this.eventCallback = null;
+  }
+
+  async start() {
+    logger.info('Starting Linux media controller');
+
+    this.bus = dbus.sessionBus();
+    this.bus.on('error', (error) => {
+      logger.error('D-Bus connection error:', error.message);
+    });
+
+    const dbusObject = await this.bus.getProxyObject('org.freedesktop.DBus', '/org/freedesktop/DBus');
+    this.dbusInterface = dbusObject.getInterface('org.freedesktop.DBus');
+
+    // Track players appearing and disappearing from the bus. A name that changes owner (the player
+    // restarted, or another instance took the name over) is a different player, so it's re-added.
+    this.dbusInterface.on('NameOwnerChanged', (name, oldOwner, newOwner) => {
+      if (!name.startsWith(MPRIS_PREFIX)) return;
+
+      if (oldOwner) {
+        this.removePlayer(name);
+      }
+      const update = newOwner ? this.addPlayer(name) : Promise.resolve();
+      update
+        .then(() => this.selectActivePlayer())
+        .catch(err => {
+          logger.error('Error handling MPRIS player change:', err.message);
+        });
+    });
+
+    // Pick up players that were already running
+    const names = await this.dbusInterface.ListNames();
+    for (const name of names.filter(n => n.startsWith(MPRIS_PREFIX))) {
+      await this.addPlayer(name);
+    }
+
+    await this.selectActivePlayer();
+
+    this.pollInterval = setInterval(() => {
+      this.pollPosition().catch(err => {
+        logger.error('Error polling MPRIS position:', err.message);
+      });
+    }, this.pollRate);
+  }
+
+  stop() {
+    logger.info('Stopping Linux media controller');
+    if (this.pollInterval) {
+      clearInterval(this.pollInterval);
+      this.pollInterval = null;
+    }
+    for (const name of [...this.players.keys()]) {
+      this.removePlayer(name);
+    }
+    if (this.bus) {
+      this.bus.disconnect();
+      this.bus = null;
+    }
+  }
+
+  // The preferred app is read whenever a player is chosen, so just choose again
+  async reconfigure() {
+    logger.info('Reconfiguring Linux media controller');
+    await this.selectActivePlayer();
+  }
+
+  async addPlayer(busName) {
+    if (this.players.has(busName)) return;
+
+    try {
+      const proxy = await this.bus.getProxyObject(busName, MPRIS_PATH);
+      const properties = proxy.getInterface(PROPERTIES_INTERFACE);
+      const player = proxy.getInterface(PLAYER_INTERFACE);
+
+      let identity = busName.substring(MPRIS_PREFIX.length).split('.')[0];
+      let desktopEntry = null;
+      try {
+        const rootProps = await properties.GetAll(ROOT_INTERFACE);
+        identity = unwrap(rootProps.Identity) || identity;
+        desktopEntry = unwrap(rootProps.DesktopEntry) || null;
+      } catch (error) {
+        // Identity is optional, fall back to the bus name
+      }
+
+      const playerProps = await properties.GetAll(PLAYER_INTERFACE);
+      const entry = {
+        identity,
+        desktopEntry, // e.g. "spotify" for spotify.desktop
+        properties,
+        player,
+        status: unwrap(playerProps.PlaybackStatus) || 'Stopped',
+        metadata: unwrap(playerProps.Metadata) || {},
+        position: playerProps.Position !== undefined ? microsecondsToMs(playerProps.Position) : 0,
+        volume: playerProps.Volume !== undefined ? unwrap(playerProps.Volume) : null,
+        shuffle: playerProps.Shuffle !== undefined ? unwrap(playerProps.Shuffle) : null,
+        loopStatus: playerProps.LoopStatus !== undefined ? unwrap(playerProps.LoopStatus) : null
+      };
+      this.players.set(busName, entry);
+
+      properties.on('PropertiesChanged', (iface, changed) => {
+        if (iface !== PLAYER_INTERFACE) return;
+        if (changed.PlaybackStatus) entry.status = unwrap(changed.PlaybackStatus);
+        if (changed.Metadata) entry.metadata = unwrap(changed.Metadata);
+        if (changed.Volume) entry.volume = unwrap(changed.Volume);
+        if (changed.Shuffle) entry.shuffle = unwrap(changed.Shuffle);
+        if (changed.LoopStatus) entry.loopStatus = unwrap(changed.LoopStatus);
+        this.handlePlayerUpdate(busName)
+          .then(() => this.emitSession(busName))
+          .catch(err => {
+            logger.error('Error handling MPRIS update:', err.message);
+          });
+      });
+
+      player.on('Seeked', (position) => {
+        entry.position = microsecondsToMs(position);
+        this.emitSession(busName);
+        if (busName !== this.currentPlayer) return;
+        this.currentState = { ...this.currentState, position: entry.position };
+        this.emit('playback_state_changed', { ...this.currentState });
+      });
+
+      logger.info(`MPRIS player found: ${identity} (${busName})`);
+      this.emitSession(busName);
+    } catch (error) {
+      logger.error(`Error connecting to MPRIS player ${busName}:`, error.message);
+    }
+  }
+
+  removePlayer(busName) {
+    const entry = this.players.get(busName);
+    if (!entry) return;
+
+    entry.properties.removeAllListeners('PropertiesChanged');
+    entry.player.removeAllListeners('Seeked');
+    this.players.delete(busName);
+    // Whatever takes its place is chosen (and announced) afresh, even under the same name
+    if (busName === this.currentPlayer) {
+      this.currentPlayer = null;
+    }
+    logger.info(`MPRIS player removed: ${entry.identity} (${busName})`);
+    this.emit('session_removed', { id: getSessionId(busName) });
+  }
+
+  findPlayer() {
+    const preferredApp = config.get('media.preferredApp') || 'auto';
+
+    // If user has a preferred app, match it by identity or bus name
+    if (preferredApp !== 'auto') {
+      const wanted = preferredApp.toLowerCase();
+      for (const [name, entry] of this.players) {
+        if (entry.identity.toLowerCase() === wanted || name.toLowerCase().includes(wanted)) {
+          return name;
+        }
+      }
+      return null;
+    }
+
+    // Auto mode: a playing player wins, then stay on the current one, then any paused player
+    const names = [...this.players.keys()];
+    const playing = names.find(name => this.players.get(name).status === 'Playing');
+    if (playing) return playing;
+    if (this.currentPlayer && this.players.has(this.currentPlayer)) return this.currentPlayer;
+    return names.find(name => this.players.get(name).status === 'Paused') || null;
+  }
+
+  async selectActivePlayer() {
+    const busName = this.findPlayer();
+
+    if (busName && busName === this.currentPlayer) {
+      await this.syncPlayerState(busName);
+      return;
+    }
+
+    if (!busName) {
+      // No player available
+      this.currentPlayer = null;
+      if (this.currentApp !== null) {
+        this.currentApp = null;
+        this.currentTrack = null;
+        this.currentState = { isPlaying: false, position: 0 };
+        this.emit('media_disconnected', { connected: false });
+      }
+      return;
+    }
+
+    const previousPlayer = this.currentPlayer;
+    this.currentPlayer = busName;
+    this.currentApp = this.players.get(busName).identity;
+    this.currentTrack = null;
+    this.emit('media_connected', { appName: this.currentApp });
+
+    await this.syncPlayerState(busName);
+
+    // Both sessions' active flags changed
+    if (previousPlayer) this.emitSession(previousPlayer);
+    this.emitSession(busName);
+  }
+
+  async handlePlayerUpdate(busName) {
+    // A change in one player can change which player is active (auto mode)
+    if (busName !== this.currentPlayer || this.findPlayer() !== busName) {
+      await this.selectActivePlayer();
+      return;
+    }
+
+    await this.syncPlayerState(busName);
+  }
+
+  async syncPlayerState(busName) {
+    const entry = this.players.get(busName);
+    if (!entry) return;
+
+    const trackInfo = this.buildTrackInfo(entry.metadata, entry);
+    if (this.hasTrackChanged(trackInfo)) {
+      this.currentTrack = trackInfo;
+      this.emit('track_changed', { ...trackInfo, appName: this.currentApp });
+    }
+
+    entry.position = await this.fetchPosition(entry);
+    const playbackState = {
+      isPlaying: entry.status === 'Playing',
+      position: entry.position
+    };
+
+    if (this.currentState.isPlaying !== playbackState.isPlaying ||
+        this.currentState.position !== playbackState.position) {
+      this.currentState = playbackState;
+      this.emit('playback_state_changed', playbackState);
+    }
+
+    const playbackMode = this.buildPlaybackMode(entry);
+    if (!this.currentMode ||
+        this.currentMode.shuffle !== playbackMode.shuffle ||
+        this.currentMode.repeat !== playbackMode.repeat) {
+      this.currentMode = playbackMode;
+      this.emit('playback_mode_changed', { ...playbackMode });
+    }
+
+    // MPRIS has no mute, so muted is always false
+    if (entry.volume !== null) {
+      const volume = Math.round(entry.volume * 100);
+      if (!this.currentVolume || this.currentVolume.volume !== volume) {
+        this.currentVolume = { volume, muted: false };
+        this.emit('volume_changed', { ...this.currentVolume });
+      }
+    }
+  }
+
+  // Poll every playing player so each session's position stays current
+  async pollPosition() {
+    if (this.isPolling) return;
+
+    this.isPolling = true;
+    try {
+      for (const [busName, entry] of this.players) {
+        if (entry.status !== 'Playing') continue;
+
+        const position = await this.fetchPosition(entry);
+        if (position === entry.position) continue;
+
+        entry.position = position;
+        this.emitSession(busName);
+        if (busName === this.currentPlayer) {
+          this.currentState = { ...this.currentState, position };
+          this.emit('playback_state_changed', { ...this.currentState });
+        }
+      }
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  async fetchPosition(entry) {
+    try {
+      return microsecondsToMs(await entry.properties.Get(PLAYER_INTERFACE, 'Position'));
+    } catch (error) {
+      // Some players don't implement Position
+      return 0;
+    }
+  }
+
+  buildTrackInfo(metadata, entry) {
+    const trackId = unwrap(metadata['mpris:trackid']);
+
+    return {
+      title: unwrap(metadata['xesam:title']),
+      artist: joinList(unwrap(metadata['xesam:artist'])),
+      album: unwrap(metadata['xesam:album']),
+      albumArtist: joinList(unwrap(metadata['xesam:albumArtist'])),
+      genre: joinList(unwrap(metadata['xesam:genre'])),
+      trackNumber: unwrap(metadata['xesam:trackNumber']),
+      discNumber: unwrap(metadata['xesam:discNumber']),
+      year: unwrap(metadata['xesam:contentCreated']),
+      duration: microsecondsToMs(metadata['mpris:length']),
+      artwork: unwrap(metadata['mpris:artUrl']) || null,
+      uri: unwrap(metadata['xesam:url']),
+      sourceTrackId: trackId !== NO_TRACK_ID ? trackId : null,
+      appId: entry.desktopEntry
+    };
+  }
+
+  buildPlaybackMode(entry) {
+    // Shuffle and LoopStatus are optional in MPRIS
+    return {
+      shuffle: typeof entry.shuffle === 'boolean' ? entry.shuffle : null,
+      repeat: LOOP_STATUS_TO_REPEAT[entry.loopStatus] || null
+    };
+  }
+
+  getSession(busName) {
+    const entry = this.players.get(busName);
+    const track = this.buildTrackInfo(entry.metadata, entry);
+    return {
+      id: getSessionId(busName),
+      appName: entry.identity,
+      active: busName === this.currentPlayer,
+      isPlaying: entry.status === 'Playing',
+      position: entry.position,
+      ...this.buildPlaybackMode(entry),
+      track: entry.metadata['xesam:title'] || entry.metadata['mpris:trackid'] ? track : null
+    };
+  }
+
+  emitSession(busName) {
+    if (this.players.has(busName)) {
+      this.emit('session_updated', this.getSession(busName));
+    }
+  }
+
+  getSessions() {
+    return [...this.players.keys()].map(busName => this.getSession(busName));
+  }
+
+  getActiveSessionId() {
+    return this.currentPlayer ? getSessionId(this.currentPlayer) : null;
+  }
+
+  // The targeted session's player, or the active one when sessionId isn't given
+  getEntry(sessionId) {
+    const busName = sessionId ? MPRIS_PREFIX + sessionId : this.currentPlayer;
+    return (busName && this.players.get(busName)) || null;
+  }
+
+  noPlayerError(sessionId) {
+    return { success: false, error: sessionId ? `Unknown session: ${sessionId}` : 'No media app active' };
+  }
+
+  hasTrackChanged(newTrack) {
+    if (!newTrack) return false;
+    if (!this.currentTrack) return true;
+    return (
+      this.currentTrack.title !== newTrack.title ||
+      this.currentTrack.artist !== newTrack.artist ||
+      this.currentTrack.album !== newTrack.album ||
+      this.currentTrack.artwork !== newTrack.artwork ||
+      this.currentTrack.sourceTrackId !== newTrack.sourceTrackId
+    );
+  }
+
+  async sendPlayerCommand(method, sessionId) {
+    const entry = this.getEntry(sessionId);
+    if (!entry) return this.noPlayerError(sessionId);
+
+    await entry.player[method]();
+    return { success: true };
+  }
+
+  // Control methods
+  async play(sessionId) {
+    try {
+      return await this.sendPlayerCommand('Play', sessionId);
+    } catch (error) {
+      logger.error('Error playing:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async pause(sessionId) {
+    try {
+      return await this.sendPlayerCommand('Pause', sessionId);
+    } catch (error) {
+      logger.error('Error pausing:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async toggle(sessionId) {
+    try {
+      const result = await this.sendPlayerCommand('PlayPause', sessionId);
+      if (!result.success) return result;
+
+      // Wait a bit and get new state
+      await new Promise(resolve => setTimeout(resolve, 100));
+      const entry = this.getEntry(sessionId);
+      const status = entry
+        ? unwrap(await entry.properties.Get(PLAYER_INTERFACE, 'PlaybackStatus'))
+        : 'Stopped';
+
+      return { success: true, isPlaying: status === 'Playing' };
+    } catch (error) {
+      logger.error('Error toggling:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async next(sessionId) {
+    try {
+      return await this.sendPlayerCommand('Next', sessionId);
+    } catch (error) {
+      logger.error('Error skipping to next:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async previous(sessionId) {
+    try {
+      return await this.sendPlayerCommand('Previous', sessionId);
+    } catch (error) {
+      logger.error('Error going to previous:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async seek(position, sessionId) {
+    const entry = this.getEntry(sessionId);
+    if (!entry) return this.noPlayerError(sessionId);
+
+    try {
+      // SetPosition needs the track id; fall back to a relative Seek for players without one
+      const trackId = unwrap(entry.metadata['mpris:trackid']);
+      if (trackId) {
+        await entry.player.SetPosition(trackId, BigInt(position) * 1000n);
+      } else {
+        await entry.player.Seek(BigInt(position - entry.position) * 1000n);
+      }
+
+      const newPosition = await this.fetchPosition(entry);
+      entry.position = newPosition;
+      if (entry === this.players.get(this.currentPlayer)) {
+        this.currentState = { ...this.currentState, position: newPosition };
+        this.emit('playback_state_changed', { ...this.currentState });
+      }
+
+      return { success: true, position: newPosition };
+    } catch (error) {
+      logger.error('Error seeking:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async setPlayerProperty(name, value, sessionId) {
+    const entry = this.getEntry(sessionId);
+    if (!entry) return this.noPlayerError(sessionId);
+
+    await entry.properties.Set(PLAYER_INTERFACE, name, value);
+    const current = unwrap(await entry.properties.Get(PLAYER_INTERFACE, name));
+    if (name === 'Shuffle') entry.shuffle = current;
+    if (name === 'LoopStatus') entry.loopStatus = current;
+
+    return { success: true, ...this.buildPlaybackMode(entry) };
+  }
+
+  async setShuffle(enabled, sessionId) {
+    try {
+      return await this.setPlayerProperty('Shuffle', new dbus.Variant('b', enabled), sessionId);
+    } catch (error) {
+      logger.error('Error setting shuffle:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async setRepeat(mode, sessionId) {
+    try {
+      return await this.setPlayerProperty('LoopStatus', new dbus.Variant('s', REPEAT_TO_LOOP_STATUS[mode]), sessionId);
+    } catch (error) {
+      logger.error('Error setting repeat:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getVolume() {
+    const entry = this.currentPlayer && this.players.get(this.currentPlayer);
+    if (!entry) return { success: false, error: 'No media app active' };
+
+    try {
+      const volume = unwrap(await entry.properties.Get(PLAYER_INTERFACE, 'Volume'));
+      return { success: true, volume: Math.round(volume * 100), muted: false };
+    } catch (error) {
+      logger.error('Error getting volume:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async setVolume(level) {
+    const entry = this.currentPlayer && this.players.get(this.currentPlayer);
+    if (!entry) return { success: false, error: 'No media app active' };
+
+    try {
+      await entry.properties.Set(PLAYER_INTERFACE, 'Volume', new dbus.Variant('d', level / 100));
+      return await this.getVolume();
+    } catch (error) {
+      logger.error('Error setting volume:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async setMuted() {
+    return { success: false, error: 'Mute is not supported by MPRIS players' };
+  }
+
+  getTrackInfo() {
+    return this.currentTrack;
+  }
+
+  getPlaybackState() {
+    return this.currentState;
+  }
+
+  getSourceApp() {
+    return this.currentApp;
+  }
+
+  // Event emitter functionality
+  emit(eventName, data) {
+    if (this.eventCallback) {
+      this.eventCallback(eventName, data);
+    }
+  }
+
+  on(callback) {
+    this.eventCallback = callback;
+  }
+}
+
+module.exports = LinuxMediaController;
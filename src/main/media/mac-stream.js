@@ -0,0 +1,151 @@
+const { StringDecoder } = require('string_decoder');
+const logger = require('../utils/logger');
+
+// Parser for `media-control stream` output: one JSON object per line, e.g.
+//   {"type":"data","diff":false,"payload":{"bundleIdentifier":"com.spotify.client","playing":true,"title":"…","elapsedTime":12.5,"timestamp":"2025-05-26T10:35:48Z",…}}
+//   {"type":"data","diff":true,"payload":{"playing":false,"elapsedTime":14.1,"timestamp":"…"}}
+// A full payload (diff: false) replaces the state, a diff is merged into it (null removes a
+// key), and an empty full payload means nothing is playing.
+// Kept free of process handling so saved or sample output can be fed straight in.
+
+const BUNDLE_APPS = {
+  'com.spotify.client': 'Spotify',
+  'com.apple.Music': 'Music'
+};
+
+// 'Spotify' or 'Music' for apps with their own AppleScript session, otherwise 'System'
+function getSessionApp(bundleId) {
+  return BUNDLE_APPS[bundleId] || 'System';
+}
+
+function parseTimestamp(value, fallback) {
+  const time = typeof value === 'string' ? Date.parse(value) : NaN;
+  return Number.isNaN(time) ? fallback : time;
+}
+
+// The merged payload as what MacMediaController works with, or null when nothing is playing
+function toNowPlaying(info, receivedAt) {
+  if (!info || Object.keys(info).length === 0) return null;
+
+  return {
+    bundleIdentifier: info.bundleIdentifier || null,
+    app: getSessionApp(info.bundleIdentifier),
+    isPlaying: info.playing === true,
+    title: info.title || null,
+    artist: info.artist || null,
+    album: info.album || null,
+    genre: info.genre || null,
+    trackNumber: info.trackNumber || null,
+    discNumber: info.discNumber || null,
+    duration: info.duration ? Math.floor(info.duration * 1000) : 0,
+    elapsed: info.elapsedTime ? Math.floor(info.elapsedTime * 1000) : 0,
+    // elapsedTime was measured at timestamp; the position moves on from there while playing
+    elapsedAt: parseTimestamp(info.timestamp, receivedAt),
+    playbackRate: typeof info.playbackRate === 'number' ? info.playbackRate : 1,
+    artworkData: info.artworkData || null,
+    artworkMimeType: info.artworkMimeType || null
+  };
+}
+
+// The track as MacMediaController reports it; MediaInterface normalizes it
+function toTrack(nowPlaying) {
+  return {
+    title: nowPlaying.title,
+    artist: nowPlaying.artist,
+    album: nowPlaying.album,
+    genre: nowPlaying.genre,
+    trackNumber: nowPlaying.trackNumber,
+    discNumber: nowPlaying.discNumber,
+    duration: nowPlaying.duration,
+    artwork: null,
+    artworkData: nowPlaying.artworkData, // Base64 image bytes; cached by MediaInterface
+    appId: nowPlaying.bundleIdentifier
+  };
+}
+
+// Position in ms at time now, extrapolated from the last report
+function getPosition(nowPlaying, now = Date.now()) {
+  if (!nowPlaying) return 0;
+
+  let position = nowPlaying.elapsed;
+  if (nowPlaying.isPlaying) {
+    position += Math.max(0, now - nowPlaying.elapsedAt) * nowPlaying.playbackRate;
+  }
+  if (nowPlaying.duration > 0) {
+    position = Math.min(position, nowPlaying.duration);
+  }
+  return Math.floor(position);
+}
+
+class NowPlayingStreamParser {
+  constructor() {
+    this.info = null; // Merged payload so far
+    this.buffer = ''; // Incomplete last line; artwork makes lines span several chunks
+    this.decoder = new StringDecoder('utf8'); // Chunks can also end partway through a character
+  }
+
+  // Feed stdout data; resolves each complete line to the new now-playing state (null = nothing playing)
+  push(chunk, receivedAt = Date.now()) {
+    this.buffer += typeof chunk === 'string' ? chunk : this.decoder.write(chunk);
+    const lines = this.buffer.split('\n');
+    this.buffer = lines.pop();
+
+    const updates = [];
+    for (const line of lines) {
+      try {
+        const update = this.parseLine(line, receivedAt);
+        if (update !== undefined) {
+          updates.push(update);
+        }
+      } catch (error) {
+        logger.warn(error.message);
+      }
+    }
+    return updates;
+  }
+
+  // The now-playing state after one line, or undefined if the line didn't change anything
+  parseLine(line, receivedAt = Date.now()) {
+    if (!line.trim()) return undefined;
+
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch {
+      throw new Error(`Invalid media-control output: ${line.slice(0, 100)}`);
+    }
+    if (!message || message.type !== 'data' || typeof message.payload !== 'object' || message.payload === null) {
+      return undefined;
+    }
+
+    if (message.diff && this.info) {
+      const info = { ...this.info };
+      for (const [key, value] of Object.entries(message.payload)) {
+        if (value === null) {
+          delete info[key];
+        } else {
+          info[key] = value;
+        }
+      }
+      this.info = info;
+    } else {
+      this.info = { ...message.payload };
+    }
+
+    return toNowPlaying(this.info, receivedAt);
+  }
+
+  reset() {
+    this.info = null;
+    this.buffer = '';
+    this.decoder = new StringDecoder('utf8');
+  }
+}
+
+module.exports = {
+  NowPlayingStreamParser,
+  toNowPlaying,
+  toTrack,
+  getSessionApp,
+  getPosition
+};
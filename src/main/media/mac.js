@@ -1,14 +1,35 @@
-const { exec } = require('child_process');
+const { exec, spawn } = require('child_process');
 const { promisify } = require('util');
 const execAsync = promisify(exec);
+const fs = require('fs');
 const path = require('path');
+const os = require('os');
+const { pathToFileURL } = require('url');
 const logger = require('../utils/logger');
 const config = require('../utils/config');
+const { NowPlayingStreamParser, toNowPlaying, toTrack, getPosition } = require('./mac-stream');
 
 // Timeout for AppleScript calls to prevent hanging
 // Must be shorter than poll rate (1000ms) to avoid overlap
 const APPLESCRIPT_TIMEOUT = 800; // 800ms - leaves 200ms buffer before next poll
 
+// Apps besides the active one are re-checked for the session list every this many polls
+const SESSION_REFRESH_POLLS = 5;
+
+// Apps with their own AppleScript session; media-control reports these too, so they
+// aren't listed twice as the System session
+const BUNDLE_IDS = { Spotify: 'com.spotify.client', Music: 'com.apple.Music' };
+const SCRIPTED_APPS = Object.keys(BUNDLE_IDS);
+const SCRIPTED_BUNDLE_IDS = Object.values(BUNDLE_IDS);
+
+// Separates the fields of a track in AppleScript output; unlike "|" it can't be part of a title
+const FIELD_SEPARATOR = String.fromCharCode(31);
+
+// `media-control stream` is restarted when it exits, unless it keeps exiting right away
+const STREAM_RESTART_DELAY = 2000;
+const STREAM_MIN_UPTIME = 10000;
+const MAX_STREAM_FAILURES = 3;
+
 // Helper to execute AppleScript with timeout
 async function execWithTimeout(command, timeout = APPLESCRIPT_TIMEOUT) {
   return await execAsync(command, { timeout });
@@ -40,6 +61,49 @@ function getAppNameFromBundle(bundleId) {
   return parts[parts.length - 1] || null;
 }
 
+// The fields fetchTrackInfo's AppleScript returns for Spotify or Music, joined with FIELD_SEPARATOR
+function parseAppleScriptTrack(appName, stdout) {
+  const output = stdout.trim();
+  if (!output) return null;
+
+  const fields = output.split(FIELD_SEPARATOR);
+
+  if (appName === 'Spotify') {
+    const [title, artist, album, albumArtist, trackNumber, discNumber, duration, uri] = fields;
+    const idMatch = /^spotify:track:(\w+)$/.exec(uri || '');
+    return {
+      title,
+      artist,
+      album,
+      albumArtist,
+      trackNumber,
+      discNumber,
+      duration: parseFloat(duration), // Already in milliseconds
+      artwork: null, // Will be fetched separately only when track changes
+      uri,
+      sourceTrackId: idMatch ? idMatch[1] : null,
+      appId: BUNDLE_IDS.Spotify
+    };
+  }
+
+  const [title, artist, album, albumArtist, genre, year, trackNumber, discNumber, duration, persistentId] = fields;
+  return {
+    title,
+    artist,
+    album,
+    albumArtist,
+    genre,
+    year,
+    trackNumber,
+    discNumber,
+    // Seconds, with a decimal comma in some locales
+    duration: Math.round(parseFloat(String(duration).replace(',', '.')) * 1000),
+    artwork: null, // Will be fetched separately only when track changes
+    sourceTrackId: persistentId,
+    appId: BUNDLE_IDS.Music
+  };
+}
+
 class MacMediaController {
   constructor() {
     this.currentTrack = null;
@@ -47,33 +111,62 @@ class MacMediaController {
       isPlaying: false,
       position: 0
     };
+    this.currentVolume = null; // { volume, muted } from the last check
+    this.currentMode = null; // { shuffle, repeat } from the last check
     this.currentApp = null;
     this.currentBundleId = null; // Store bundle ID for System mode apps
     this.pollInterval = null;
     this.pollRate = 1000; // Poll every 1 second (spec recommendation)
-    this.lastTrackName = null; // Cache track name for quick comparison
+    this.lastTrackKey = null; // Cache the quick track key for comparison
     this.isChecking = false; // Prevent overlapping checks
     this.isRunning = false;
+    this.sessions = new Map(); // 'Spotify' | 'Music' | 'System' -> session
+    this.pollCount = 0;
+    this.pollLoopId = 0; // Bumped for each poll loop so a stopped one can't keep going
+    this.isRefreshingSessions = false;
+    this.mode = null; // 'stream' or 'poll'
+    this.streamProcess = null;
+    this.streamParser = new NowPlayingStreamParser();
+    this.streamFailures = 0;
+    this.nowPlaying = null; // Latest state from the stream
+    this.streamQueue = Promise.resolve(); // Updates are handled one at a time, in order
+    this.positionTimer = null;
+    this.refreshTimer = null;
   }
 
   async start() {
     logger.info('Starting macOS media controller');
     this.isRunning = true;
 
+    // The stream follows whatever macOS considers now playing, so a preferred app needs polling
+    if (this.shouldStream() && this.startStream()) {
+      return;
+    }
+    await this.startPolling();
+  }
+
+  shouldStream() {
+    return (config.get('media.preferredApp') || 'auto') === 'auto';
+  }
+
+  async startPolling() {
+    logger.info('Polling for media changes');
+    this.mode = 'poll';
+
     // Do initial check
     await this.checkMediaState();
 
     // Start polling loop that waits for each check to complete
-    this.pollLoop();
+    this.pollLoop(++this.pollLoopId);
   }
 
-  async pollLoop() {
-    while (this.isRunning) {
+  async pollLoop(loopId) {
+    while (this.isRunning && this.pollLoopId === loopId) {
       // Wait for the poll interval
       await new Promise(resolve => setTimeout(resolve, this.pollRate));
 
       // Only check if we're not already checking (prevent overlap)
-      if (!this.isChecking && this.isRunning) {
+      if (!this.isChecking && this.isRunning && this.pollLoopId === loopId) {
         this.checkMediaState().catch(err => {
           logger.error('Error in poll loop:', err);
         });
@@ -81,15 +174,241 @@ class MacMediaController {
     }
   }
 
+  // One long-lived `media-control stream` reports changes as they happen, instead of
+  // several osascript calls every second. Returns false if it can't be used.
+  startStream() {
+    const mediaControlPath = getMediaControlPath();
+    if (!fs.existsSync(mediaControlPath)) {
+      logger.warn('media-control not found, falling back to polling');
+      return false;
+    }
+
+    logger.info('Streaming media changes from media-control');
+    this.mode = 'stream';
+    this.streamParser.reset();
+    this.streamQueue = Promise.resolve();
+
+    const streamProcess = spawn(mediaControlPath, ['stream'], {
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    this.streamProcess = streamProcess;
+    const startedAt = Date.now();
+
+    streamProcess.stdout.on('data', (data) => {
+      for (const nowPlaying of this.streamParser.push(data)) {
+        this.streamQueue = this.streamQueue
+          .then(() => this.handleNowPlaying(nowPlaying))
+          .catch(err => {
+            logger.error('Error handling media-control update:', err);
+          });
+      }
+    });
+
+    streamProcess.stderr.on('data', (data) => {
+      logger.warn('media-control stream:', data.toString().trim());
+    });
+
+    // Couldn't be started at all (e.g. not executable)
+    streamProcess.on('error', (error) => {
+      if (this.streamProcess !== streamProcess || !this.isRunning) return;
+
+      logger.error('Failed to start media-control stream:', error.message);
+      this.stopStream();
+      this.startPolling().catch(err => {
+        logger.error('Error starting polling:', err);
+      });
+    });
+
+    streamProcess.on('exit', (code) => {
+      // A process replaced by reconfigure() or stopped on purpose isn't restarted
+      if (this.streamProcess !== streamProcess || !this.isRunning) return;
+
+      this.stopStream();
+      this.streamFailures = Date.now() - startedAt < STREAM_MIN_UPTIME ? this.streamFailures + 1 : 1;
+      if (this.streamFailures >= MAX_STREAM_FAILURES) {
+        logger.warn(`media-control stream keeps exiting (code ${code}), falling back to polling`);
+        this.startPolling().catch(err => {
+          logger.error('Error starting polling:', err);
+        });
+        return;
+      }
+
+      logger.warn(`media-control stream exited with code ${code}, restarting`);
+      this.mode = 'stream';
+      setTimeout(() => {
+        if (this.isRunning && this.mode === 'stream' && !this.streamProcess) {
+          this.startStream();
+        }
+      }, STREAM_RESTART_DELAY);
+    });
+
+    // The stream only reports changes, so the position is advanced locally while playing
+    this.positionTimer = setInterval(() => this.updateStreamPosition(), this.pollRate);
+
+    // Volume, shuffle/repeat and the other apps' sessions aren't part of the stream
+    this.refreshTimer = setInterval(() => this.refreshStreamExtras(), this.pollRate * SESSION_REFRESH_POLLS);
+
+    return true;
+  }
+
+  stopStream() {
+    if (this.streamProcess) {
+      const streamProcess = this.streamProcess;
+      this.streamProcess = null;
+      streamProcess.kill();
+    }
+    clearInterval(this.positionTimer);
+    clearInterval(this.refreshTimer);
+    this.positionTimer = null;
+    this.refreshTimer = null;
+    this.nowPlaying = null;
+    this.mode = null;
+  }
+
   stop() {
     logger.info('Stopping macOS media controller');
     this.isRunning = false;
+    this.pollLoopId++;
+    this.stopStream();
     if (this.pollInterval) {
       clearInterval(this.pollInterval);
       this.pollInterval = null;
     }
   }
 
+  // Polling reads the preferred app on every check, so it only needs a re-check unless
+  // the change means switching between streaming and polling
+  async reconfigure() {
+    logger.info('Reconfiguring macOS media controller');
+    if (this.shouldStream() === (this.mode === 'stream')) {
+      if (this.mode === 'poll') {
+        await this.checkMediaState();
+      }
+      return;
+    }
+
+    this.stop();
+    await this.start();
+  }
+
+  // Apply one now-playing update from the stream (null when nothing is playing)
+  async handleNowPlaying(nowPlaying) {
+    this.nowPlaying = nowPlaying;
+
+    if (!nowPlaying) {
+      this.handleNoMedia();
+      return;
+    }
+
+    const app = nowPlaying.app;
+    if (app === 'System') {
+      this.currentBundleId = nowPlaying.bundleIdentifier;
+    }
+
+    if (this.currentApp !== app) {
+      const previousSession = this.sessions.get(this.currentApp);
+      this.currentApp = app;
+      this.emit('media_connected', { appName: this.getDisplayAppName() });
+      if (previousSession) {
+        this.setSession(previousSession.id, { ...previousSession, active: false });
+      }
+      this.refreshStreamExtras();
+    }
+
+    let trackInfo = toTrack(nowPlaying);
+    const trackIds = await this.fetchStreamTrackIds(app, trackInfo);
+    if (this.mode !== 'stream' || this.nowPlaying !== nowPlaying) return;
+
+    if (trackIds) {
+      trackInfo = { ...trackInfo, ...trackIds };
+    } else if (this.currentTrack && !this.hasTrackChanged({ ...trackInfo, sourceTrackId: this.currentTrack.sourceTrackId })) {
+      // The lookup failed, so the same metadata is taken to be the same track
+      trackInfo = { ...trackInfo, sourceTrackId: this.currentTrack.sourceTrackId, uri: this.currentTrack.uri };
+    }
+
+    if (this.hasTrackChanged(trackInfo)) {
+      this.currentTrack = trackInfo;
+      this.lastTrackKey = null; // Polling (after a fallback) fetches the track again
+      this.emit('track_changed', { ...trackInfo, appName: this.getDisplayAppName() });
+
+      // Spotify's artwork URL (and Music's exported artwork) if the stream has no image
+      if (!trackInfo.artworkData && this.supportsAppleScriptControl(app)) {
+        this.fetchArtworkUrl(app).then(artworkUrl => {
+          if (artworkUrl && this.currentTrack === trackInfo) {
+            this.currentTrack.artwork = artworkUrl;
+            this.emit('track_changed', { ...this.currentTrack, appName: this.getDisplayAppName() });
+          }
+        }).catch(() => {
+          // Ignore artwork errors
+        });
+      }
+    } else if (trackInfo.artworkData && trackInfo.artworkData !== this.currentTrack.artworkData) {
+      // Artwork often arrives a moment after the title
+      this.currentTrack = { ...this.currentTrack, artworkData: trackInfo.artworkData };
+      this.emit('track_changed', { ...this.currentTrack, appName: this.getDisplayAppName() });
+    } else {
+      this.currentTrack.duration = trackInfo.duration || this.currentTrack.duration;
+    }
+
+    this.updatePlaybackState({
+      isPlaying: nowPlaying.isPlaying,
+      position: getPosition(nowPlaying),
+      playbackRate: nowPlaying.playbackRate
+    });
+    this.updateActiveSession();
+  }
+
+  // The stream has no track ids, so two tracks with the same title, artist and album (a
+  // remaster, the same song on a compilation) would look like one; Spotify and Music have theirs
+  async fetchStreamTrackIds(app, trackInfo) {
+    if (!this.supportsAppleScriptControl(app)) return null;
+
+    const scripted = await this.fetchTrackInfo(app);
+    // The app may already have moved on to the next track
+    if (!scripted || !scripted.sourceTrackId || scripted.title !== trackInfo.title) return null;
+
+    return scripted.uri
+      ? { sourceTrackId: scripted.sourceTrackId, uri: scripted.uri }
+      : { sourceTrackId: scripted.sourceTrackId };
+  }
+
+  updateStreamPosition() {
+    if (!this.nowPlaying || !this.nowPlaying.isPlaying) return;
+
+    this.updatePlaybackState({
+      isPlaying: true,
+      position: getPosition(this.nowPlaying),
+      playbackRate: this.nowPlaying.playbackRate
+    });
+    this.updateActiveSession();
+  }
+
+  async refreshStreamExtras() {
+    const app = this.currentApp;
+    if (!app || this.isRefreshingSessions) return;
+
+    this.isRefreshingSessions = true;
+    try {
+      const [volumeState, playbackMode] = await Promise.all([
+        this.fetchVolume(app),
+        this.fetchPlaybackMode(app)
+      ]);
+      if (app !== this.currentApp || this.mode !== 'stream') return;
+
+      if (volumeState) {
+        this.updateVolume(volumeState);
+      }
+      this.updatePlaybackMode(playbackMode);
+      this.updateActiveSession();
+
+      await this.refreshOtherSessions(app);
+    } catch (error) {
+      logger.error('Error refreshing media state:', error.message);
+    } finally {
+      this.isRefreshingSessions = false;
+    }
+  }
+
   async checkMediaState() {
     // Prevent overlapping checks
     if (this.isChecking) {
@@ -104,31 +423,29 @@ class MacMediaController {
       const app = await this.getCurrentMediaApp();
 
       if (!app) {
-        // No media playing
-        if (this.currentApp !== null) {
-          this.currentApp = null;
-          this.currentTrack = null;
-          this.lastTrackName = null;
-          this.emit('media_disconnected');
-        }
+        this.handleNoMedia();
         return;
       }
 
-      // Run quick track name check and playback state in parallel
-      const [quickTrackName, playbackState] = await Promise.all([
-        this.getQuickTrackName(app),
-        this.fetchPlaybackState(app)
+      // Run quick track check, playback state and volume in parallel
+      const [quickTrackKey, playbackState, volumeState, playbackMode] = await Promise.all([
+        this.getQuickTrackKey(app),
+        this.fetchPlaybackState(app),
+        this.fetchVolume(app),
+        this.fetchPlaybackMode(app)
       ]);
 
-      // Only fetch full track info if track name changed
+      // Only fetch full track info if the track changed
       let trackInfo = null;
-      if (quickTrackName !== this.lastTrackName) {
+      if (quickTrackKey !== this.lastTrackKey) {
         trackInfo = await this.fetchTrackInfo(app);
-        this.lastTrackName = quickTrackName;
+        if (trackInfo) {
+          this.lastTrackKey = quickTrackKey;
+        }
 
         // Store bundle ID if this is System mode
-        if (app === 'System' && trackInfo && trackInfo.bundleIdentifier) {
-          this.currentBundleId = trackInfo.bundleIdentifier;
+        if (app === 'System' && trackInfo && trackInfo.appId) {
+          this.currentBundleId = trackInfo.appId;
         }
       }
 
@@ -139,8 +456,12 @@ class MacMediaController {
 
       // Check if app changed
       if (this.currentApp !== app) {
+        const previousSession = this.sessions.get(this.currentApp);
         this.currentApp = app;
         this.emit('media_connected', { appName: displayAppName });
+        if (previousSession) {
+          this.setSession(previousSession.id, { ...previousSession, active: false });
+        }
       }
 
       // Check if track changed
@@ -160,14 +481,24 @@ class MacMediaController {
         });
       }
 
-      // Check for play/pause state changes (critical, needs immediate update)
-      const playingChanged = this.currentState.isPlaying !== playbackState.isPlaying;
-      const positionChanged = this.currentState.position !== playbackState.position;
+      // Check for play/pause state and position changes (critical, needs immediate update)
+      this.updatePlaybackState(playbackState);
+
+      if (volumeState) {
+        this.updateVolume(volumeState);
+      }
+
+      this.updatePlaybackMode(playbackMode);
+
+      this.updateActiveSession();
 
-      // Always emit if playing state changed, or if position changed
-      if (playingChanged || positionChanged) {
-        this.currentState = playbackState;
-        this.emit('playback_state_changed', playbackState);
+      // Other apps change less often, so they're checked in the background every few polls
+      this.pollCount++;
+      if (this.pollCount % SESSION_REFRESH_POLLS === 0 && !this.isRefreshingSessions) {
+        this.isRefreshingSessions = true;
+        this.refreshOtherSessions(app).finally(() => {
+          this.isRefreshingSessions = false;
+        });
       }
 
     } catch (error) {
@@ -177,29 +508,136 @@ class MacMediaController {
     }
   }
 
-  async getQuickTrackName(appName) {
+  handleNoMedia() {
+    if (this.currentApp !== null) {
+      this.currentApp = null;
+      this.currentTrack = null;
+      this.lastTrackKey = null;
+      this.emit('media_disconnected');
+      this.removeSessions(() => true);
+    }
+  }
+
+  updatePlaybackState(playbackState) {
+    if (this.currentState.isPlaying !== playbackState.isPlaying ||
+        this.currentState.position !== playbackState.position) {
+      this.currentState = playbackState;
+      this.emit('playback_state_changed', playbackState);
+    }
+  }
+
+  updateActiveSession() {
+    this.setSession(this.currentApp, {
+      appName: this.getDisplayAppName(),
+      active: true,
+      ...this.currentState,
+      ...this.currentMode,
+      track: this.currentTrack
+    });
+  }
+
+  // Spotify and Music are sessions while running with a track; anything else playing
+  // is the single System session reported by media-control
+  async fetchSession(app) {
+    try {
+      if (app === 'System') {
+        const { stdout } = await execWithTimeout(`"${getMediaControlPath()}" get`, 2000);
+        const nowPlaying = toNowPlaying(JSON.parse(stdout), Date.now());
+        if (!nowPlaying || SCRIPTED_BUNDLE_IDS.includes(nowPlaying.bundleIdentifier)) return null;
+
+        return {
+          appName: getAppNameFromBundle(nowPlaying.bundleIdentifier) || 'System',
+          isPlaying: nowPlaying.isPlaying,
+          position: nowPlaying.elapsed,
+          shuffle: null,
+          repeat: null,
+          track: { ...toTrack(nowPlaying), artworkData: null }
+        };
+      }
+
+      if (!await this.isAppPlaying(app)) return null;
+
+      const [track, playbackState, playbackMode] = await Promise.all([
+        this.fetchTrackInfo(app),
+        this.fetchPlaybackState(app),
+        this.fetchPlaybackMode(app)
+      ]);
+      return { appName: app, ...playbackState, ...playbackMode, track };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async refreshOtherSessions(activeApp) {
+    for (const app of [...SCRIPTED_APPS, 'System']) {
+      if (app === activeApp || !this.isRunning) continue;
+
+      const session = await this.fetchSession(app);
+      if (session) {
+        this.setSession(app, { ...session, active: false });
+      } else {
+        this.removeSessions(id => id === app);
+      }
+    }
+  }
+
+  setSession(id, { appName, active, isPlaying, position, shuffle, repeat, track }) {
+    const session = {
+      id,
+      appName,
+      active,
+      isPlaying: !!isPlaying,
+      position: position || 0,
+      shuffle: typeof shuffle === 'boolean' ? shuffle : null,
+      repeat: repeat || null,
+      track: track ? { ...track } : null
+    };
+    this.sessions.set(id, session);
+    this.emit('session_updated', session);
+  }
+
+  removeSessions(predicate) {
+    for (const id of [...this.sessions.keys()]) {
+      if (predicate(id)) {
+        this.sessions.delete(id);
+        this.emit('session_removed', { id });
+      }
+    }
+  }
+
+  getSessions() {
+    return [...this.sessions.values()].map(session => ({ ...session }));
+  }
+
+  getActiveSessionId() {
+    return this.currentApp;
+  }
+
+  // Something that changes whenever the track does: the track's id in Spotify and Music, so
+  // two tracks with the same name are told apart, and the metadata for other apps
+  async getQuickTrackKey(appName) {
     try {
       let script;
 
       if (appName === 'Spotify') {
         script = `osascript -e 'if application "Spotify" is running then
-          tell application "Spotify" to return name of current track
+          tell application "Spotify" to return id of current track
         else
           return ""
         end if'`;
       } else if (appName === 'Music') {
         script = `osascript -e 'if application "Music" is running then
-          tell application "Music" to return name of current track
+          tell application "Music" to return persistent ID of current track
         else
           return ""
         end if'`;
       } else if (appName === 'System') {
-        // Use media-control to get quick track name
+        // Use media-control to get the quick track metadata
         const mediaControlPath = getMediaControlPath();
         const { stdout } = await execWithTimeout(`"${mediaControlPath}" get`, 2000);
         try {
           const info = JSON.parse(stdout);
-          return info?.title || null;
+          return info ? JSON.stringify([info.bundleIdentifier, info.title, info.artist, info.album]) : null;
         } catch (e) {
           return null;
         }
@@ -294,6 +732,7 @@ class MacMediaController {
     }
   }
 
+  // The current track of appName, or null if there's none (or it couldn't be read)
   async fetchTrackInfo(appName) {
     try {
       let script;
@@ -301,26 +740,22 @@ class MacMediaController {
       if (appName === 'Spotify') {
         script = `osascript -e 'if application "Spotify" is running then
           tell application "Spotify"
-            set trackName to name of current track
-            set artistName to artist of current track
-            set albumName to album of current track
-            set trackDuration to duration of current track
-            return trackName & "|" & artistName & "|" & albumName & "|" & trackDuration
+            set t to current track
+            set sep to character id 31
+            return (name of t) & sep & (artist of t) & sep & (album of t) & sep & (album artist of t) & sep & (track number of t) & sep & (disc number of t) & sep & (duration of t) & sep & (id of t)
           end tell
         else
-          return "|||0"
+          return ""
         end if'`;
       } else if (appName === 'Music') {
         script = `osascript -e 'if application "Music" is running then
           tell application "Music"
-            set trackName to name of current track
-            set artistName to artist of current track
-            set albumName to album of current track
-            set trackDuration to duration of current track
-            return trackName & "|" & artistName & "|" & albumName & "|" & trackDuration
+            set t to current track
+            set sep to character id 31
+            return (name of t) & sep & (artist of t) & sep & (album of t) & sep & (album artist of t) & sep & (genre of t) & sep & (year of t) & sep & (track number of t) & sep & (disc number of t) & sep & (duration of t) & sep & (persistent ID of t)
           end tell
         else
-          return "|||0"
+          return ""
         end if'`;
       } else if (appName === 'System') {
         // Use media-control to get system media info
@@ -328,62 +763,22 @@ class MacMediaController {
         const { stdout } = await execWithTimeout(`"${mediaControlPath}" get`, 2000);
 
         try {
-          const info = JSON.parse(stdout);
-          return {
-            title: info.title || 'System Audio',
-            artist: info.artist || 'Unknown Artist',
-            album: info.album || 'Unknown Album',
-            duration: info.duration ? Math.floor(info.duration * 1000) : 0, // Convert seconds to ms
-            artwork: null, // System mode doesn't support artwork URLs (artworkData is base64)
-            bundleIdentifier: info.bundleIdentifier || null
-          };
+          const nowPlaying = toNowPlaying(JSON.parse(stdout), Date.now());
+          return nowPlaying ? toTrack(nowPlaying) : null;
         } catch (e) {
           logger.error('Error parsing media-control output:', e);
-          return {
-            title: 'System Audio',
-            artist: '',
-            album: '',
-            duration: 0,
-            artwork: null
-          };
+          return null;
         }
       } else {
-        // For other apps, return generic info
-        return {
-          title: 'Playing from ' + appName,
-          artist: 'Unknown Artist',
-          album: 'Unknown Album',
-          duration: 0,
-          artwork: null
-        };
+        // Other apps can only be seen as running, not what they're playing
+        return null;
       }
 
       const { stdout } = await execWithTimeout(script);
-      const [title, artist, album, duration] = stdout.trim().split('|');
-
-      // Spotify returns duration in milliseconds, Music returns seconds
-      const durationMs = appName === 'Music'
-        ? Math.floor(parseFloat(duration) || 0) * 1000  // Convert seconds to milliseconds
-        : Math.floor(parseFloat(duration) || 0);         // Already in milliseconds
-
-      const trackInfo = {
-        title: title || 'Unknown',
-        artist: artist || 'Unknown Artist',
-        album: album || 'Unknown Album',
-        duration: durationMs,
-        artwork: null  // Will be fetched separately only when track changes
-      };
-
-      return trackInfo;
+      return parseAppleScriptTrack(appName, stdout);
     } catch (error) {
       logger.error('Error getting track info from ' + appName + ':', error);
-      return {
-        title: 'Unknown',
-        artist: 'Unknown Artist',
-        album: 'Unknown Album',
-        duration: 0,
-        artwork: null
-      };
+      return null;
     }
   }
 
@@ -394,9 +789,14 @@ class MacMediaController {
       if (appName === 'Spotify') {
         script = `osascript -e 'tell application "Spotify" to return artwork url of current track'`;
       } else if (appName === 'Music') {
-        // Music app doesn't provide direct artwork URL via AppleScript
-        // We would need to export the artwork to a temp file
-        return null;
+        // Music has no artwork URL, so export the raw image to a temp file
+        const file = path.join(os.tmpdir(), 'mcb-music-artwork');
+        script = `osascript -e 'tell application "Music" to set artworkData to raw data of artwork 1 of current track
+          set artworkFile to open for access (POSIX file "${file}") with write permission
+          set eof artworkFile to 0
+          write artworkData to artworkFile
+          close access artworkFile
+          return "${pathToFileURL(file).href}"'`;
       } else {
         return null;
       }
@@ -462,20 +862,99 @@ class MacMediaController {
 
       return {
         isPlaying: state === 'playing',
-        position: Math.floor(parseFloat(position) || 0) * 1000 // Convert to milliseconds
+        position: Math.floor((parseFloat(position) || 0) * 1000) // Convert to milliseconds
       };
     } catch (error) {
       return { isPlaying: false, position: 0 };
     }
   }
 
+  async fetchVolume(appName) {
+    try {
+      let volumeExpression;
+
+      if (this.supportsAppleScriptControl(appName)) {
+        // Player volume for Spotify/Music
+        volumeExpression = `(sound volume of application "${appName}")`;
+      } else {
+        // System output volume as a fallback
+        volumeExpression = '(output volume of volumeSettings)';
+      }
+
+      // Mute is only available on the system output
+      const script = `osascript -e 'set volumeSettings to get volume settings
+        return (${volumeExpression} as string) & "|" & (output muted of volumeSettings as string)'`;
+
+      const { stdout } = await execWithTimeout(script);
+      const [volume, muted] = stdout.trim().split('|');
+      const level = parseInt(volume, 10);
+
+      return {
+        volume: Number.isNaN(level) ? null : level,
+        muted: muted === 'true'
+      };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  updateVolume(volumeState) {
+    if (!this.currentVolume ||
+        this.currentVolume.volume !== volumeState.volume ||
+        this.currentVolume.muted !== volumeState.muted) {
+      this.currentVolume = volumeState;
+      this.emit('volume_changed', volumeState);
+    }
+  }
+
+  async fetchPlaybackMode(appName) {
+    // Shuffle/repeat are only exposed by the Spotify and Music AppleScript APIs
+    if (!this.supportsAppleScriptControl(appName)) {
+      return { shuffle: null, repeat: null };
+    }
+
+    try {
+      let script;
+
+      if (appName === 'Spotify') {
+        script = `osascript -e 'tell application "Spotify" to return (shuffling as string) & "|" & (repeating as string)'`;
+      } else {
+        script = `osascript -e 'tell application "Music" to return (shuffle enabled as string) & "|" & (song repeat as string)'`;
+      }
+
+      const { stdout } = await execWithTimeout(script);
+      const [shuffle, repeat] = stdout.trim().split('|');
+
+      // Spotify only reports repeat on/off; Music reports off/one/all
+      const repeatModes = { 'true': 'playlist', 'false': 'off', 'off': 'off', 'one': 'track', 'all': 'playlist' };
+
+      return {
+        shuffle: shuffle === 'true',
+        repeat: repeatModes[repeat] || null
+      };
+    } catch (error) {
+      return { shuffle: null, repeat: null };
+    }
+  }
+
+  updatePlaybackMode(playbackMode) {
+    if (!this.currentMode ||
+        this.currentMode.shuffle !== playbackMode.shuffle ||
+        this.currentMode.repeat !== playbackMode.repeat) {
+      this.currentMode = playbackMode;
+      this.emit('playback_mode_changed', playbackMode);
+    }
+  }
+
   hasTrackChanged(newTrack) {
     if (!newTrack) return false;
     if (!this.currentTrack) return true;
     return (
       this.currentTrack.title !== newTrack.title ||
       this.currentTrack.artist !== newTrack.artist ||
-      this.currentTrack.album !== newTrack.album
+      this.currentTrack.album !== newTrack.album ||
+      (this.currentTrack.sourceTrackId || null) !== (newTrack.sourceTrackId || null) ||
+      (this.currentTrack.appId || null) !== (newTrack.appId || null)
     );
   }
 
@@ -521,17 +1000,18 @@ class MacMediaController {
   }
 
   // Control methods
-  async play() {
-    if (!this.currentApp) return { success: false, error: 'No media app active' };
+  async play(sessionId) {
+    const app = sessionId || this.currentApp;
+    if (!app) return { success: false, error: 'No media app active' };
 
     try {
       // If current app supports AppleScript, use it for precise control
-      if (this.supportsAppleScriptControl(this.currentApp)) {
+      if (this.supportsAppleScriptControl(app)) {
         let script;
-        if (this.currentApp === 'Music') {
+        if (app === 'Music') {
           script = `osascript -e 'tell application "Music" to play'`;
         } else {
-          script = `osascript -e 'tell application "${this.currentApp}" to play'`;
+          script = `osascript -e 'tell application "${app}" to play'`;
         }
         await execWithTimeout(script);
       } else {
@@ -547,17 +1027,18 @@ class MacMediaController {
     }
   }
 
-  async pause() {
-    if (!this.currentApp) return { success: false, error: 'No media app active' };
+  async pause(sessionId) {
+    const app = sessionId || this.currentApp;
+    if (!app) return { success: false, error: 'No media app active' };
 
     try {
       // If current app supports AppleScript, use it for precise control
-      if (this.supportsAppleScriptControl(this.currentApp)) {
+      if (this.supportsAppleScriptControl(app)) {
         let script;
-        if (this.currentApp === 'Music') {
+        if (app === 'Music') {
           script = `osascript -e 'tell application "Music" to pause'`;
         } else {
-          script = `osascript -e 'tell application "${this.currentApp}" to pause'`;
+          script = `osascript -e 'tell application "${app}" to pause'`;
         }
         await execWithTimeout(script);
       } else {
@@ -573,17 +1054,18 @@ class MacMediaController {
     }
   }
 
-  async toggle() {
-    if (!this.currentApp) return { success: false, error: 'No media app active' };
+  async toggle(sessionId) {
+    const app = sessionId || this.currentApp;
+    if (!app) return { success: false, error: 'No media app active' };
 
     try {
       // If current app supports AppleScript, use it for precise control
-      if (this.supportsAppleScriptControl(this.currentApp)) {
+      if (this.supportsAppleScriptControl(app)) {
         let script;
-        if (this.currentApp === 'Music') {
+        if (app === 'Music') {
           script = `osascript -e 'tell application "Music" to playpause'`;
         } else {
-          script = `osascript -e 'tell application "${this.currentApp}" to playpause'`;
+          script = `osascript -e 'tell application "${app}" to playpause'`;
         }
         await execWithTimeout(script);
       } else {
@@ -594,7 +1076,7 @@ class MacMediaController {
 
       // Wait a bit and get new state
       await new Promise(resolve => setTimeout(resolve, 100));
-      const newState = await this.fetchPlaybackState(this.currentApp);
+      const newState = await this.fetchPlaybackState(app);
 
       return { success: true, isPlaying: newState.isPlaying };
     } catch (error) {
@@ -603,17 +1085,18 @@ class MacMediaController {
     }
   }
 
-  async next() {
-    if (!this.currentApp) return { success: false, error: 'No media app active' };
+  async next(sessionId) {
+    const app = sessionId || this.currentApp;
+    if (!app) return { success: false, error: 'No media app active' };
 
     try {
       // If current app supports AppleScript, use it for precise control
-      if (this.supportsAppleScriptControl(this.currentApp)) {
+      if (this.supportsAppleScriptControl(app)) {
         let script;
-        if (this.currentApp === 'Music') {
+        if (app === 'Music') {
           script = `osascript -e 'tell application "Music" to next track'`;
         } else {
-          script = `osascript -e 'tell application "${this.currentApp}" to next track'`;
+          script = `osascript -e 'tell application "${app}" to next track'`;
         }
         await execWithTimeout(script);
       } else {
@@ -629,17 +1112,18 @@ class MacMediaController {
     }
   }
 
-  async previous() {
-    if (!this.currentApp) return { success: false, error: 'No media app active' };
+  async previous(sessionId) {
+    const app = sessionId || this.currentApp;
+    if (!app) return { success: false, error: 'No media app active' };
 
     try {
       // If current app supports AppleScript, use it for precise control
-      if (this.supportsAppleScriptControl(this.currentApp)) {
+      if (this.supportsAppleScriptControl(app)) {
         let script;
-        if (this.currentApp === 'Music') {
+        if (app === 'Music') {
           script = `osascript -e 'tell application "Music" to previous track'`;
         } else {
-          script = `osascript -e 'tell application "${this.currentApp}" to previous track'`;
+          script = `osascript -e 'tell application "${app}" to previous track'`;
         }
         await execWithTimeout(script);
       } else {
@@ -655,6 +1139,125 @@ class MacMediaController {
     }
   }
 
+  async seek(position, sessionId) {
+    const app = sessionId || this.currentApp;
+    if (!app) return { success: false, error: 'No media app active' };
+
+    try {
+      const seconds = (position / 1000).toFixed(3);
+
+      // If current app supports AppleScript, use it for precise control
+      if (this.supportsAppleScriptControl(app)) {
+        const script = `osascript -e 'tell application "${app}" to set player position to ${seconds}'`;
+        await execWithTimeout(script);
+      } else {
+        // Use media-control for system apps (browsers, VLC, etc.)
+        const mediaControlPath = getMediaControlPath();
+        await execWithTimeout(`"${mediaControlPath}" seek ${seconds}`, 2000);
+      }
+
+      // Wait a bit and report where the player actually landed
+      await new Promise(resolve => setTimeout(resolve, 100));
+      const newState = await this.fetchPlaybackState(app);
+      if (app === this.currentApp) {
+        this.currentState = newState;
+        this.emit('playback_state_changed', newState);
+      }
+
+      return { success: true, position: newState.position };
+    } catch (error) {
+      logger.error('Error seeking:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getVolume() {
+    const volumeState = await this.fetchVolume(this.currentApp);
+    if (!volumeState) return { success: false, error: 'Unable to read volume' };
+
+    this.updateVolume(volumeState);
+    return { success: true, ...volumeState };
+  }
+
+  async setVolume(level) {
+    try {
+      let script;
+      if (this.supportsAppleScriptControl(this.currentApp)) {
+        script = `osascript -e 'tell application "${this.currentApp}" to set sound volume to ${level}'`;
+      } else {
+        script = `osascript -e 'set volume output volume ${level}'`;
+      }
+      await execWithTimeout(script);
+
+      return await this.getVolume();
+    } catch (error) {
+      logger.error('Error setting volume:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async setMuted(muted) {
+    try {
+      await execWithTimeout(`osascript -e 'set volume output muted ${muted ? 'true' : 'false'}'`);
+      return await this.getVolume();
+    } catch (error) {
+      logger.error('Error setting mute:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async setShuffle(enabled, sessionId) {
+    const app = sessionId || this.currentApp;
+    if (!this.supportsAppleScriptControl(app)) {
+      return { success: false, error: 'Shuffle is not supported for ' + (app || 'this app') };
+    }
+
+    try {
+      const property = app === 'Spotify' ? 'shuffling' : 'shuffle enabled';
+      await execWithTimeout(`osascript -e 'tell application "${app}" to set ${property} to ${enabled}'`);
+
+      const playbackMode = await this.fetchPlaybackMode(app);
+      if (app === this.currentApp) {
+        this.updatePlaybackMode(playbackMode);
+      }
+      return { success: true, ...playbackMode };
+    } catch (error) {
+      logger.error('Error setting shuffle:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async setRepeat(mode, sessionId) {
+    const app = sessionId || this.currentApp;
+    if (!this.supportsAppleScriptControl(app)) {
+      return { success: false, error: 'Repeat is not supported for ' + (app || 'this app') };
+    }
+
+    try {
+      let script;
+      if (app === 'Spotify') {
+        // Spotify's AppleScript API can't repeat a single track
+        if (mode === 'track') {
+          return { success: false, error: 'Spotify does not support repeating a single track via AppleScript' };
+        }
+        script = `osascript -e 'tell application "Spotify" to set repeating to ${mode === 'playlist'}'`;
+      } else {
+        const songRepeat = { off: 'off', track: 'one', playlist: 'all' }[mode];
+        script = `osascript -e 'tell application "Music" to set song repeat to ${songRepeat}'`;
+      }
+      await execWithTimeout(script);
+
+      const playbackMode = await this.fetchPlaybackMode(app);
+      if (app === this.currentApp) {
+        this.updatePlaybackMode(playbackMode);
+      }
+      return { success: true, ...playbackMode };
+    } catch (error) {
+      logger.error('Error setting repeat:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
   getTrackInfo() {
     return this.currentTrack;
   }
@@ -680,3 +1283,4 @@ class MacMediaController {
 }
 
 module.exports = MacMediaController;
+module.exports.parseAppleScriptTrack = parseAppleScriptTrack;
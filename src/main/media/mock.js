@@ -0,0 +1,374 @@
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+
+// Simulated playlists used when no real media app is available
+const DEFAULT_PLAYLIST = [
+  { title: 'Opening Theme', artist: 'The Mock Ensemble', album: 'Test Signals', genre: 'Ambient', year: 2024, trackNumber: 1, duration: 185000 },
+  { title: 'Walk-In Loop', artist: 'The Mock Ensemble', album: 'Test Signals', genre: 'Ambient', year: 2024, trackNumber: 2, duration: 212000 },
+  { title: 'Interval Music', artist: 'Placeholder Quartet', album: 'Filler', albumArtist: 'Various Artists', trackNumber: 7, duration: 164000 },
+  { title: 'Closing Credits', artist: 'Placeholder Quartet', album: 'Filler', albumArtist: 'Various Artists', trackNumber: 8, duration: 238000 }
+];
+
+// Videos have no album, track number, etc.
+const BROWSER_PLAYLIST = [
+  { title: 'Sponsor Video', artist: 'Mock Channel', duration: 95000 },
+  { title: 'Livestream Replay', artist: 'Mock Channel', duration: 600000 }
+];
+
+// A second, paused player so multi-session features can be tried without real apps
+const DEFAULT_SESSIONS = [
+  { id: 'mock-player', appName: 'Mock Player', playlist: DEFAULT_PLAYLIST, autoplay: true },
+  { id: 'mock-browser', appName: 'Mock Browser', playlist: BROWSER_PLAYLIST, autoplay: false }
+];
+
+// Going back within this many ms of a track's start skips to the previous track,
+// otherwise the current track restarts (matches Spotify/Music behaviour)
+const PREVIOUS_RESTART_THRESHOLD = 3000;
+
+// One simulated app: plays its playlist in real time and reports changes through onChange
+class MockPlayer {
+  constructor({ id, appName, playlist }, onChange) {
+    this.id = id;
+    this.appName = appName;
+    this.playlist = playlist;
+    this.onChange = onChange;
+    this.trackIndex = 0;
+    this.currentTrack = null;
+    this.currentState = {
+      isPlaying: false,
+      position: 0
+    };
+    this.currentMode = {
+      shuffle: false,
+      repeat: 'playlist'
+    };
+    this.playStartedAt = null; // Wall clock time playback (re)started, null while paused
+    this.basePosition = 0; // Position at playStartedAt
+  }
+
+  getPosition() {
+    if (this.playStartedAt === null) {
+      return this.basePosition;
+    }
+    return this.basePosition + (Date.now() - this.playStartedAt);
+  }
+
+  tick() {
+    if (!this.currentState.isPlaying || !this.currentTrack) return;
+
+    // Advance when the current track ends, honouring the repeat mode
+    if (this.getPosition() >= this.currentTrack.duration) {
+      const isLastTrack = this.trackIndex === this.playlist.length - 1;
+
+      if (this.currentMode.repeat === 'track') {
+        this.loadTrack(this.trackIndex);
+      } else if (this.currentMode.repeat === 'off' && !this.currentMode.shuffle && isLastTrack) {
+        // End of the playlist: stop on the first track
+        this.currentState.isPlaying = false;
+        this.loadTrack(0);
+      } else {
+        this.loadTrack(this.getNextIndex());
+      }
+    }
+
+    this.emitPlaybackState();
+  }
+
+  getNextIndex() {
+    if (this.currentMode.shuffle && this.playlist.length > 1) {
+      // Pick any track other than the current one
+      const offset = 1 + Math.floor(Math.random() * (this.playlist.length - 1));
+      return this.trackIndex + offset;
+    }
+    return this.trackIndex + 1;
+  }
+
+  loadTrack(index) {
+    this.trackIndex = (index + this.playlist.length) % this.playlist.length;
+    this.basePosition = 0;
+    this.playStartedAt = this.currentState.isPlaying ? Date.now() : null;
+
+    const track = this.playlist[this.trackIndex];
+    this.currentTrack = {
+      ...track,
+      artwork: track.artwork || null,
+      appId: this.id
+    };
+
+    this.onChange('track_changed', { ...this.currentTrack, appName: this.appName });
+  }
+
+  setPlaying(isPlaying) {
+    if (this.currentState.isPlaying === isPlaying) return;
+
+    // Freeze or resume the position clock
+    this.basePosition = this.getPosition();
+    this.playStartedAt = isPlaying ? Date.now() : null;
+    this.currentState.isPlaying = isPlaying;
+
+    this.emitPlaybackState();
+  }
+
+  emitPlaybackState() {
+    const position = Math.min(Math.floor(this.getPosition()), this.currentTrack ? this.currentTrack.duration : 0);
+    this.currentState = {
+      isPlaying: this.currentState.isPlaying,
+      position
+    };
+    this.onChange('playback_state_changed', { ...this.currentState });
+  }
+
+  next() {
+    this.loadTrack(this.getNextIndex());
+    this.emitPlaybackState();
+  }
+
+  previous() {
+    if (this.getPosition() > PREVIOUS_RESTART_THRESHOLD) {
+      // Restart the current track
+      this.basePosition = 0;
+      this.playStartedAt = this.currentState.isPlaying ? Date.now() : null;
+    } else {
+      this.loadTrack(this.trackIndex - 1);
+    }
+
+    this.emitPlaybackState();
+  }
+
+  seek(position) {
+    this.basePosition = Math.min(position, this.currentTrack.duration);
+    this.playStartedAt = this.currentState.isPlaying ? Date.now() : null;
+    this.emitPlaybackState();
+  }
+
+  setMode(mode) {
+    this.currentMode = { ...this.currentMode, ...mode };
+    this.onChange('playback_mode_changed', { ...this.currentMode });
+  }
+
+  getSession(active) {
+    return {
+      id: this.id,
+      appName: this.appName,
+      active,
+      isPlaying: this.currentState.isPlaying,
+      position: this.currentState.position,
+      shuffle: this.currentMode.shuffle,
+      repeat: this.currentMode.repeat,
+      track: this.currentTrack ? { ...this.currentTrack } : null
+    };
+  }
+}
+
+class MockMediaController {
+  constructor(sessions = DEFAULT_SESSIONS) {
+    this.sessionConfigs = sessions;
+    this.players = new Map(); // Session id -> MockPlayer
+    this.activePlayer = null;
+    this.currentVolume = {
+      volume: 50,
+      muted: false
+    };
+    this.currentApp = null;
+    this.pollInterval = null;
+    this.pollRate = 1000; // Emit position updates every second, like the macOS poll loop
+    this.eventCallback = null;
+  }
+
+  async start() {
+    logger.info('Starting mock media controller');
+
+    for (const session of this.sessionConfigs) {
+      const player = new MockPlayer(session, (eventName, data) => this.handlePlayerChange(player, eventName, data));
+      this.players.set(session.id, player);
+      player.loadTrack(0);
+      player.setPlaying(session.autoplay);
+    }
+
+    this.selectActivePlayer();
+    this.emit('volume_changed', { ...this.currentVolume });
+
+    this.pollInterval = setInterval(() => {
+      for (const player of this.players.values()) {
+        player.tick();
+      }
+    }, this.pollRate);
+  }
+
+  stop() {
+    logger.info('Stopping mock media controller');
+    if (this.pollInterval) {
+      clearInterval(this.pollInterval);
+      this.pollInterval = null;
+    }
+    if (this.currentApp !== null) {
+      this.currentApp = null;
+      this.activePlayer = null;
+      this.emit('media_disconnected', { connected: false });
+    }
+    this.players.clear();
+  }
+
+  // The preferred app is read whenever a player is chosen, so just choose again
+  async reconfigure() {
+    logger.info('Reconfiguring mock media controller');
+    this.selectActivePlayer();
+  }
+
+  // Same rules as the Linux controller: preferred app, then a playing player, then stay put
+  findPlayer() {
+    const preferredApp = config.get('media.preferredApp') || 'auto';
+    const players = [...this.players.values()];
+
+    if (preferredApp !== 'auto') {
+      return players.find(player => player.appName.toLowerCase() === preferredApp.toLowerCase()) || null;
+    }
+
+    return players.find(player => player.currentState.isPlaying) || this.activePlayer || players[0] || null;
+  }
+
+  selectActivePlayer() {
+    const player = this.findPlayer();
+    if (player === this.activePlayer) return;
+
+    const previousPlayer = this.activePlayer;
+    this.activePlayer = player;
+    if (previousPlayer) {
+      this.emit('session_updated', previousPlayer.getSession(false));
+    }
+    if (!player) {
+      this.currentApp = null;
+      this.emit('media_disconnected', { connected: false });
+      return;
+    }
+
+    // Replay the new player's state as if it had just connected
+    this.currentApp = player.appName;
+    this.emit('media_connected', { appName: player.appName });
+    this.emit('track_changed', { ...player.currentTrack, appName: player.appName });
+    this.emit('playback_state_changed', { ...player.currentState });
+    this.emit('playback_mode_changed', { ...player.currentMode });
+    this.emit('session_updated', player.getSession(true));
+  }
+
+  handlePlayerChange(player, eventName, data) {
+    if (!this.players.has(player.id)) return;
+
+    if (player === this.activePlayer) {
+      this.emit(eventName, data);
+    } else if (eventName === 'playback_state_changed' && data.isPlaying) {
+      // Another player started playing: follow it in auto mode
+      this.selectActivePlayer();
+    }
+
+    this.emit('session_updated', player.getSession(player === this.activePlayer));
+  }
+
+  // The targeted session, or the active one when sessionId isn't given
+  getPlayer(sessionId) {
+    return sessionId ? this.players.get(sessionId) || null : this.activePlayer;
+  }
+
+  async runOnPlayer(sessionId, action) {
+    const player = this.getPlayer(sessionId);
+    if (!player) {
+      return { success: false, error: sessionId ? `Unknown session: ${sessionId}` : 'No media app active' };
+    }
+    return { success: true, ...action(player) };
+  }
+
+  // Control methods
+  async play(sessionId) {
+    return this.runOnPlayer(sessionId, player => { player.setPlaying(true); });
+  }
+
+  async pause(sessionId) {
+    return this.runOnPlayer(sessionId, player => { player.setPlaying(false); });
+  }
+
+  async toggle(sessionId) {
+    return this.runOnPlayer(sessionId, player => {
+      player.setPlaying(!player.currentState.isPlaying);
+      return { isPlaying: player.currentState.isPlaying };
+    });
+  }
+
+  async next(sessionId) {
+    return this.runOnPlayer(sessionId, player => { player.next(); });
+  }
+
+  async previous(sessionId) {
+    return this.runOnPlayer(sessionId, player => { player.previous(); });
+  }
+
+  async seek(position, sessionId) {
+    return this.runOnPlayer(sessionId, player => {
+      player.seek(position);
+      return { position: player.currentState.position };
+    });
+  }
+
+  async setShuffle(enabled, sessionId) {
+    return this.runOnPlayer(sessionId, player => {
+      player.setMode({ shuffle: enabled });
+      return { ...player.currentMode };
+    });
+  }
+
+  async setRepeat(mode, sessionId) {
+    return this.runOnPlayer(sessionId, player => {
+      player.setMode({ repeat: mode });
+      return { ...player.currentMode };
+    });
+  }
+
+  // Volume is shared by all players, like a system output
+  async getVolume() {
+    return { success: true, ...this.currentVolume };
+  }
+
+  async setVolume(level) {
+    this.currentVolume = { ...this.currentVolume, volume: level };
+    this.emit('volume_changed', { ...this.currentVolume });
+    return { success: true, ...this.currentVolume };
+  }
+
+  async setMuted(muted) {
+    this.currentVolume = { ...this.currentVolume, muted };
+    this.emit('volume_changed', { ...this.currentVolume });
+    return { success: true, ...this.currentVolume };
+  }
+
+  getSessions() {
+    return [...this.players.values()].map(player => player.getSession(player === this.activePlayer));
+  }
+
+  getActiveSessionId() {
+    return this.activePlayer ? this.activePlayer.id : null;
+  }
+
+  getTrackInfo() {
+    return this.activePlayer ? this.activePlayer.currentTrack : null;
+  }
+
+  getPlaybackState() {
+    return this.activePlayer ? this.activePlayer.currentState : { isPlaying: false, position: 0 };
+  }
+
+  getSourceApp() {
+    return this.currentApp;
+  }
+
+  // Event emitter functionality
+  emit(eventName, data) {
+    if (this.eventCallback) {
+      this.eventCallback(eventName, data);
+    }
+  }
+
+  on(callback) {
+    this.eventCallback = callback;
+  }
+}
+
+module.exports = MockMediaController;
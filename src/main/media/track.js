@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+
+// The track shape every controller's metadata is mapped into before clients see it.
+// Anything the player doesn't report is null rather than a placeholder like "Unknown Artist".
+//
+//   title, artist, album, albumArtist, genre   strings
+//   trackNumber, discNumber, year              positive integers
+//   duration                                   ms
+//   artwork                                    URL
+//   uri                                        the player's link to the track (spotify:track:…, xesam:url)
+//   sourceTrackId                              the player's own id (Spotify id, Music persistent ID, MPRIS trackid)
+//   appId                                      bundle id (macOS), AppUserModelId (Windows) or desktop entry (Linux)
+//   trackId                                    stable id for the content: sourceTrackId, or a hash of the metadata
+
+function toText(value) {
+  if (Array.isArray(value)) {
+    value = value.map(toText).filter(Boolean).join(', ');
+  }
+  if (typeof value === 'number' || typeof value === 'bigint') {
+    value = String(value);
+  }
+  if (typeof value !== 'string') return null;
+
+  const text = value.trim();
+  return text || null;
+}
+
+function toPositiveInteger(value) {
+  const number = typeof value === 'string' ? parseInt(value, 10) : Number(value);
+  return Number.isFinite(number) && number > 0 ? Math.floor(number) : null;
+}
+
+function toDuration(value) {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? Math.round(number) : null;
+}
+
+// "2019", "2019-03-01T00:00:00Z" or 2019 -> 2019
+function toYear(value) {
+  if (typeof value === 'string') {
+    const match = value.trim().match(/^(\d{4})/);
+    return match ? Number(match[1]) : null;
+  }
+  return toPositiveInteger(value);
+}
+
+// What identifies a track that has no id of its own: two intros with the same title in
+// different apps, or an album and single version of a song, are different tracks
+function getMetadataKey(track, { withDuration = true } = {}) {
+  const duration = withDuration && track.duration ? Math.round(track.duration / 1000) : null;
+  return [track.title, track.artist, track.album, track.appId, track.uri, duration]
+    .map(value => String(value || '').toLowerCase())
+    .join('\n');
+}
+
+// The same track gets the same id every time it plays; tracks without an id of their own
+// are identified by their metadata
+function getTrackId(track) {
+  if (track.sourceTrackId) return track.sourceTrackId;
+  if (!track.title && !track.artist && !track.album) return null;
+
+  return 'meta:' + crypto.createHash('sha1').update(getMetadataKey(track)).digest('hex').slice(0, 16);
+}
+
+// Whether two normalized tracks are the same content. Players often report the duration a
+// moment after the rest of the metadata, which changes a hashed trackId but not the track
+function isSameTrack(a, b) {
+  if (!a || !b) return false;
+  if (a.trackId === b.trackId) return true;
+  if (a.sourceTrackId || b.sourceTrackId || (a.duration && b.duration)) return false;
+  return getMetadataKey(a, { withDuration: false }) === getMetadataKey(b, { withDuration: false });
+}
+
+// Normalize a controller's track; extra keys (artworkData, appName, …) are left to the caller
+function normalizeTrack(track) {
+  if (!track) return null;
+
+  const normalized = {
+    title: toText(track.title),
+    artist: toText(track.artist),
+    album: toText(track.album),
+    albumArtist: toText(track.albumArtist),
+    genre: toText(track.genre),
+    trackNumber: toPositiveInteger(track.trackNumber),
+    discNumber: toPositiveInteger(track.discNumber),
+    year: toYear(track.year),
+    duration: toDuration(track.duration),
+    artwork: toText(track.artwork),
+    uri: toText(track.uri),
+    sourceTrackId: toText(track.sourceTrackId),
+    appId: toText(track.appId)
+  };
+  normalized.trackId = getTrackId(normalized);
+  return normalized;
+}
+
+module.exports = {
+  normalizeTrack,
+  isSameTrack
+};
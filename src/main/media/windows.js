@@ -3,20 +3,35 @@ const path = require('path');
 const logger = require('../utils/logger');
 const config = require('../utils/config');
 
+// Sessions only carry a position, so it's brought forward from the helper's LastUpdatedTime to now
+function getSessionPosition({ isPlaying, position, positionUpdatedAt, playbackRate }) {
+  if (!isPlaying || !positionUpdatedAt) return position || 0;
+  const rate = typeof playbackRate === 'number' ? playbackRate : 1;
+  return Math.round((position || 0) + Math.max(0, Date.now() - positionUpdatedAt) * rate);
+}
+
 class WindowsMediaController {
   constructor() {
     this.currentTrack = null;
     this.currentState = {
       isPlaying: false,
-      position: 0
+      position: 0,
+      positionUpdatedAt: null, // Epoch ms the helper measured position at
+      playbackRate: 1
     };
+    this.currentVolume = null;
+    this.currentMode = null;
     this.currentApp = null;
+    this.currentSessionId = null; // SourceAppUserModelId of the current session
+    this.sessions = new Map(); // Session id -> session, from the helper's sessions events
     this.watchProcess = null;
+    this.isRunning = false;
     this.eventCallback = null;
   }
 
   async start() {
     logger.info('Starting Windows media controller');
+    this.isRunning = true;
 
     // Determine the correct helper path based on architecture
     const arch = process.arch === 'arm64' ? 'win-arm64' : 'win-x64';
@@ -29,9 +44,19 @@ class WindowsMediaController {
     logger.info(`Preferred app: ${preferredApp}`);
 
     // Set up promise to wait for ready signal BEFORE spawning process
+    let resolveReady;
     const readyPromise = new Promise((resolve) => {
-      this._readyResolve = resolve;
+      resolveReady = resolve;
     });
+    this._readyResolve = resolveReady;
+
+    // A helper that fails to launch or dies before 'ready' leaves us disconnected rather than waiting forever
+    const settleReady = () => {
+      if (this._readyResolve === resolveReady) {
+        this._readyResolve = null;
+      }
+      resolveReady();
+    };
 
     // Build args for the helper
     const args = ['watch'];
@@ -40,16 +65,21 @@ class WindowsMediaController {
     }
 
     // Start the watch process
-    this.watchProcess = spawn(helperPath, args, {
+    const watchProcess = spawn(helperPath, args, {
       windowsHide: true,
       stdio: ['ignore', 'pipe', 'pipe']
     });
-
-    // Handle stdout (JSON events)
-    this.watchProcess.stdout.on('data', (data) => {
-      const dataStr = data.toString();
-      const lines = dataStr.split('\n').filter(line => line.trim());
-      for (const line of lines) {
+    this.watchProcess = watchProcess;
+
+    // Handle stdout (JSON events, one per line); lines with artwork can span several chunks,
+    // and decoding in the stream keeps characters split between chunks intact
+    let buffer = '';
+    watchProcess.stdout.setEncoding('utf8');
+    watchProcess.stdout.on('data', (data) => {
+      buffer += data;
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      for (const line of lines.filter(line => line.trim())) {
         try {
           const event = JSON.parse(line);
           this.handleEvent(event);
@@ -60,7 +90,7 @@ class WindowsMediaController {
     });
 
     // Handle stderr
-    this.watchProcess.stderr.on('data', (data) => {
+    watchProcess.stderr.on('data', (data) => {
       const message = data.toString().trim();
       // Some stderr messages are informational, not errors
       if (message.includes('Current session:') || message.includes('Media properties returned null')) {
@@ -70,14 +100,32 @@ class WindowsMediaController {
       }
     });
 
+    // Spawn failures (missing or blocked helper) emit 'error', possibly without 'exit'
+    watchProcess.on('error', (error) => {
+      logger.error('Failed to run MediaHelper:', error.message);
+      settleReady();
+      if (this.watchProcess === watchProcess) {
+        this.watchProcess = null;
+        this.clearSession();
+      }
+    });
+
     // Handle process exit
-    this.watchProcess.on('exit', (code) => {
+    watchProcess.on('exit', (code) => {
+      settleReady();
+
+      // A process replaced by reconfigure() or stopped on purpose isn't restarted
+      if (this.watchProcess !== watchProcess || !this.isRunning) {
+        return;
+      }
+
       logger.warn(`MediaHelper process exited with code ${code}`);
       this.watchProcess = null;
+      this.clearSession();
 
       // Attempt to restart after a delay
       setTimeout(() => {
-        if (!this.watchProcess) {
+        if (!this.watchProcess && this.isRunning) {
           logger.info('Attempting to restart MediaHelper...');
           this.start().catch(err => {
             logger.error('Failed to restart MediaHelper:', err);
@@ -92,12 +140,31 @@ class WindowsMediaController {
 
   stop() {
     logger.info('Stopping Windows media controller');
+    this.isRunning = false;
     if (this.watchProcess) {
       this.watchProcess.kill();
       this.watchProcess = null;
     }
   }
 
+  // Restart the watch process so it picks up a new preferred app
+  async reconfigure() {
+    logger.info('Reconfiguring Windows media controller');
+    this.stop();
+    this.clearSession();
+    await this.start();
+  }
+
+  // Forget the current session when the helper that reported it is gone
+  clearSession() {
+    if (this.currentApp !== null) {
+      this.currentApp = null;
+      this.currentSessionId = null;
+      this.currentTrack = null;
+      this.emit('media_disconnected', { connected: false });
+    }
+  }
+
   getHelperPath(arch) {
     let helperPath;
 
@@ -133,24 +200,31 @@ class WindowsMediaController {
       case 'media_connected':
         if (event.data && event.data.appName) {
           this.currentApp = event.data.appName;
+          this.currentSessionId = event.data.session || event.data.appName;
           this.emit('media_connected', { appName: event.data.appName });
+          // Re-flag which session is active
+          this.updateSessions([...this.sessions.values()]);
         }
         break;
 
       case 'media_disconnected':
         this.currentApp = null;
+        this.currentSessionId = null;
         this.currentTrack = null;
         this.emit('media_disconnected', { connected: false });
         break;
 
+      case 'sessions':
+        this.updateSessions(event.data);
+        break;
+
       case 'track_changed':
         if (event.data) {
+          // The helper already reports the track's fields; MediaInterface normalizes them
+          const { appName: _appName, ...track } = event.data;
           this.currentTrack = {
-            title: event.data.title || 'Unknown',
-            artist: event.data.artist || 'Unknown Artist',
-            album: event.data.album || 'Unknown Album',
-            duration: event.data.duration || 0,
-            artwork: event.data.artwork
+            ...track,
+            artworkData: event.data.artworkData || null // Base64 thumbnail; cached by MediaInterface
           };
           if (event.data.appName) {
             this.currentApp = event.data.appName;
@@ -159,14 +233,37 @@ class WindowsMediaController {
         }
         break;
 
+      // The position is as of positionUpdatedAt (the session's LastUpdatedTime), not when it arrives
       case 'playback_state_changed':
         if (event.data && typeof event.data.isPlaying !== 'undefined') {
-          this.currentState.isPlaying = event.data.isPlaying;
-          this.currentState.position = event.data.position || 0;
-          this.emit('playback_state_changed', {
-            isPlaying: event.data.isPlaying,
-            position: event.data.position || 0
-          });
+          const { isPlaying, position, positionUpdatedAt, playbackRate } = event.data;
+          this.currentState = {
+            isPlaying,
+            position: position || 0,
+            positionUpdatedAt: positionUpdatedAt || Date.now(),
+            playbackRate: typeof playbackRate === 'number' ? playbackRate : 1
+          };
+          this.emit('playback_state_changed', { ...this.currentState });
+        }
+        break;
+
+      case 'playback_mode_changed':
+        if (event.data) {
+          this.currentMode = {
+            shuffle: typeof event.data.shuffle === 'boolean' ? event.data.shuffle : null,
+            repeat: event.data.repeat || null
+          };
+          this.emit('playback_mode_changed', { ...this.currentMode });
+        }
+        break;
+
+      case 'volume_changed':
+        if (event.data && typeof event.data.volume !== 'undefined') {
+          this.currentVolume = {
+            volume: event.data.volume,
+            muted: event.data.muted || false
+          };
+          this.emit('volume_changed', { ...this.currentVolume });
         }
         break;
 
@@ -175,16 +272,52 @@ class WindowsMediaController {
     }
   }
 
-  async executeCommand(command) {
+  // The helper sends the full session list whenever any session changes
+  updateSessions(list) {
+    if (!Array.isArray(list)) return;
+
+    const seen = new Set();
+    for (const data of list) {
+      if (!data || !data.id) continue;
+
+      const session = {
+        id: data.id,
+        appName: data.appName || data.id,
+        active: data.id === this.currentSessionId,
+        isPlaying: !!data.isPlaying,
+        position: getSessionPosition(data),
+        shuffle: typeof data.shuffle === 'boolean' ? data.shuffle : null,
+        repeat: data.repeat || null,
+        track: data.track ? { ...data.track } : null
+      };
+      seen.add(session.id);
+
+      if (JSON.stringify(this.sessions.get(session.id)) !== JSON.stringify(session)) {
+        this.sessions.set(session.id, session);
+        this.emit('session_updated', session);
+      }
+    }
+
+    for (const id of [...this.sessions.keys()]) {
+      if (!seen.has(id)) {
+        this.sessions.delete(id);
+        this.emit('session_removed', { id });
+      }
+    }
+  }
+
+  async executeCommand(command, commandArgs = [], sessionId) {
     const arch = process.arch === 'arm64' ? 'win-arm64' : 'win-x64';
     const helperPath = this.getHelperPath(arch);
 
     // Get preferred app from config
     const preferredApp = config.get('media.preferredApp') || 'auto';
 
-    // Build args with optional app parameter
-    const args = [command];
-    if (preferredApp && preferredApp !== 'auto') {
+    // Build args with optional app or session parameter
+    const args = [command, ...commandArgs];
+    if (sessionId) {
+      args.push('--session', sessionId);
+    } else if (preferredApp && preferredApp !== 'auto') {
       args.push('--app', preferredApp);
     }
 
@@ -226,9 +359,9 @@ class WindowsMediaController {
   }
 
   // Control methods
-  async play() {
+  async play(sessionId) {
     try {
-      const result = await this.executeCommand('play');
+      const result = await this.executeCommand('play', [], sessionId);
       return result;
     } catch (error) {
       logger.error('Error playing:', error.message);
@@ -236,9 +369,9 @@ class WindowsMediaController {
     }
   }
 
-  async pause() {
+  async pause(sessionId) {
     try {
-      const result = await this.executeCommand('pause');
+      const result = await this.executeCommand('pause', [], sessionId);
       return result;
     } catch (error) {
       logger.error('Error pausing:', error.message);
@@ -246,11 +379,12 @@ class WindowsMediaController {
     }
   }
 
-  async toggle() {
+  async toggle(sessionId) {
     try {
-      const result = await this.executeCommand('toggle');
+      const result = await this.executeCommand('toggle', [], sessionId);
       // Get updated state
-      const isPlaying = !this.currentState.isPlaying;
+      const state = sessionId ? this.sessions.get(sessionId) || this.currentState : this.currentState;
+      const isPlaying = !state.isPlaying;
       return { ...result, isPlaying };
     } catch (error) {
       logger.error('Error toggling:', error.message);
@@ -258,9 +392,9 @@ class WindowsMediaController {
     }
   }
 
-  async next() {
+  async next(sessionId) {
     try {
-      const result = await this.executeCommand('next');
+      const result = await this.executeCommand('next', [], sessionId);
       return result;
     } catch (error) {
       logger.error('Error skipping to next:', error.message);
@@ -268,9 +402,9 @@ class WindowsMediaController {
     }
   }
 
-  async previous() {
+  async previous(sessionId) {
     try {
-      const result = await this.executeCommand('previous');
+      const result = await this.executeCommand('previous', [], sessionId);
       return result;
     } catch (error) {
       logger.error('Error going to previous:', error.message);
@@ -278,6 +412,73 @@ class WindowsMediaController {
     }
   }
 
+  async seek(position, sessionId) {
+    try {
+      const result = await this.executeCommand('seek', [String(position)], sessionId);
+      if (result.success && !sessionId) {
+        this.currentState = { ...this.currentState, position: result.position, positionUpdatedAt: Date.now() };
+        this.emit('playback_state_changed', { ...this.currentState });
+      }
+      return result;
+    } catch (error) {
+      logger.error('Error seeking:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async setShuffle(enabled, sessionId) {
+    try {
+      return await this.executeCommand('shuffle', [enabled ? 'on' : 'off'], sessionId);
+    } catch (error) {
+      logger.error('Error setting shuffle:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async setRepeat(mode, sessionId) {
+    try {
+      return await this.executeCommand('repeat', [mode], sessionId);
+    } catch (error) {
+      logger.error('Error setting repeat:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getVolume() {
+    try {
+      return await this.executeCommand('volume');
+    } catch (error) {
+      logger.error('Error getting volume:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async setVolume(level) {
+    try {
+      return await this.executeCommand('volume', [String(level)]);
+    } catch (error) {
+      logger.error('Error setting volume:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async setMuted(muted) {
+    try {
+      return await this.executeCommand('mute', [muted ? 'on' : 'off']);
+    } catch (error) {
+      logger.error('Error setting mute:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  getSessions() {
+    return [...this.sessions.values()].map(session => ({ ...session }));
+  }
+
+  getActiveSessionId() {
+    return this.currentSessionId;
+  }
+
   getTrackInfo() {
     return this.currentTrack;
   }
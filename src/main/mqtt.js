@@ -0,0 +1,180 @@
+const mqtt = require('mqtt');
+const logger = require('./utils/logger');
+const config = require('./utils/config');
+const { runCommand, CommandError } = require('./commands');
+
+// Argument a plain (non-JSON) command payload maps to, e.g. "30000" on command/seek
+const PAYLOAD_ARGS = {
+  seek: 'position',
+  volume: 'volume',
+  shuffle: 'enabled',
+  repeat: 'mode'
+};
+
+const MEDIA_EVENTS = [
+  'track_changed',
+  'playback_state_changed',
+  'playback_mode_changed',
+  'volume_changed',
+  'media_connected',
+  'media_disconnected'
+];
+
+class MQTTBridge {
+  constructor(mediaInterface) {
+    this.mediaInterface = mediaInterface;
+    this.client = null;
+    this.prefix = 'mcb';
+    this.published = new Map(); // topic -> last payload, to skip unchanged retained values
+
+    // Subscribe to media events once; the broker connection can be stopped and restarted
+    this.setupMediaEventHandlers();
+  }
+
+  start() {
+    if (!config.get('mqtt.enabled')) return;
+
+    const brokerUrl = config.get('mqtt.brokerUrl') || 'mqtt://localhost:1883';
+    this.prefix = (config.get('mqtt.topicPrefix') || 'mcb').replace(/\/+$/, '');
+    this.published.clear();
+
+    const client = mqtt.connect(brokerUrl, {
+      username: config.get('mqtt.username') || undefined,
+      password: config.get('mqtt.password') || undefined,
+      clientId: config.get('mqtt.clientId') || `media-control-bridge-${Math.random().toString(16).substring(2, 10)}`,
+      reconnectPeriod: 5000,
+      // Broker marks us offline if the connection drops without a clean stop
+      will: {
+        topic: this.topic('status'),
+        payload: 'offline',
+        qos: 1,
+        retain: true
+      }
+    });
+    this.client = client;
+
+    client.on('connect', () => {
+      logger.info(`MQTT connected to ${brokerUrl} (prefix ${this.prefix})`);
+      client.publish(this.topic('status'), 'online', { qos: 1, retain: true });
+      client.subscribe(this.topic('command/+'), { qos: 1 }, (error) => {
+        if (error) {
+          logger.error('MQTT subscribe failed:', error.message);
+        }
+      });
+
+      // Republish everything; the broker may have lost retained messages
+      this.published.clear();
+      this.publishState();
+    });
+
+    client.on('message', (topic, payload) => {
+      this.handleMessage(topic, payload.toString()).catch(error => {
+        logger.error(`Error handling MQTT ${topic}:`, error.message);
+      });
+    });
+
+    client.on('error', (error) => {
+      logger.error('MQTT error:', error.message);
+    });
+
+    client.on('offline', () => {
+      logger.warn(`MQTT broker ${brokerUrl} unreachable, retrying`);
+    });
+  }
+
+  async stop() {
+    if (!this.client) return;
+
+    const client = this.client;
+    this.client = null;
+
+    // A clean disconnect doesn't trigger the Last Will, so publish offline ourselves
+    if (client.connected) {
+      await client.publishAsync(this.topic('status'), 'offline', { qos: 1, retain: true }).catch(() => {});
+    }
+    await client.endAsync();
+    logger.info('MQTT bridge stopped');
+  }
+
+  async restart() {
+    await this.stop();
+    this.start();
+  }
+
+  topic(name) {
+    return `${this.prefix}/${name}`;
+  }
+
+  async handleMessage(topic, payload) {
+    const commandPrefix = this.topic('command/');
+    if (!topic.startsWith(commandPrefix)) return;
+
+    const command = topic.substring(commandPrefix.length);
+    logger.debug(`MQTT ${topic}`, payload);
+
+    try {
+      await runCommand(this.mediaInterface, command, this.parsePayload(command, payload));
+    } catch (error) {
+      if (!(error instanceof CommandError)) throw error;
+      logger.warn(`MQTT ${topic}: ${error.message}`);
+    }
+  }
+
+  // Payload is empty, a JSON args object, or a plain value for the command's main argument
+  parsePayload(command, payload) {
+    const text = payload.trim();
+    if (!text) return {};
+
+    if (text.startsWith('{')) {
+      try {
+        return JSON.parse(text);
+      } catch {
+        throw new CommandError('Invalid JSON payload');
+      }
+    }
+
+    return PAYLOAD_ARGS[command] ? { [PAYLOAD_ARGS[command]]: text } : {};
+  }
+
+  setupMediaEventHandlers() {
+    for (const eventName of MEDIA_EVENTS) {
+      this.mediaInterface.on(eventName, () => this.publishState());
+    }
+  }
+
+  // Publish each status field as a retained topic, plus the whole status as JSON
+  publishState() {
+    if (!this.client || !this.client.connected) return;
+
+    const status = this.mediaInterface.getFullStatus();
+    const track = status.track || {};
+    const volume = this.mediaInterface.currentVolume || {};
+
+    const values = {
+      connected: status.connected,
+      app: status.appName || '',
+      isPlaying: status.isPlaying,
+      title: track.title || '',
+      artist: track.artist || '',
+      album: track.album || '',
+      duration: track.duration || 0,
+      position: Math.round(track.position || 0),
+      shuffle: status.shuffle,
+      repeat: status.repeat,
+      volume: volume.volume,
+      muted: volume.muted,
+      state: JSON.stringify(status)
+    };
+
+    for (const [name, value] of Object.entries(values)) {
+      const payload = value === null || value === undefined ? '' : String(value);
+      const topic = this.topic(name);
+      if (this.published.get(topic) === payload) continue;
+
+      this.published.set(topic, payload);
+      this.client.publish(topic, payload, { qos: 0, retain: true });
+    }
+  }
+}
+
+module.exports = MQTTBridge;
@@ -0,0 +1,172 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const logger = require('./utils/logger');
+const config = require('./utils/config');
+
+const MEDIA_EVENTS = [
+  'track_changed',
+  'playback_state_changed',
+  'playback_mode_changed',
+  'media_connected',
+  'media_disconnected'
+];
+
+// Windows refuses to replace a file while a reader (vMix, OBS) has it open; it's only for a moment
+const RENAME_ATTEMPTS = 5;
+const RENAME_RETRY_DELAY = 50;
+
+function formatDuration(ms) {
+  if (!ms) return '';
+  const seconds = Math.round(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+// "{artist} - {title}" -> "Artist Name - Song Name"; unknown placeholders are left as they are
+function renderTemplate(template, values) {
+  return String(template).replace(/\{(\w+)\}/g, (placeholder, name) => {
+    return Object.prototype.hasOwnProperty.call(values, name) ? values[name] : placeholder;
+  });
+}
+
+// "~/…" is the home directory; relative paths are inside ~/.media-control-bridge
+function resolvePath(file) {
+  if (file === '~' || file.startsWith('~/') || file.startsWith('~\\')) {
+    return path.join(os.homedir(), file.slice(1));
+  }
+  return path.resolve(config.configDir, file);
+}
+
+// Write to a temporary file next to the target and rename it over the target, so readers
+// never see a half-written file
+async function writeFileAtomic(file, content) {
+  const temp = `${file}.${process.pid}.tmp`;
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  await fs.promises.writeFile(temp, content);
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await fs.promises.rename(temp, file);
+      return;
+    } catch (error) {
+      if (attempt >= RENAME_ATTEMPTS || !['EPERM', 'EACCES', 'EBUSY'].includes(error.code)) {
+        await fs.promises.unlink(temp).catch(() => {});
+        throw error;
+      }
+      await new Promise(resolve => setTimeout(resolve, RENAME_RETRY_DELAY));
+    }
+  }
+}
+
+// Keeps plain-text "now playing" files (and optionally a JSON file) up to date for
+// broadcast software that reads a file rather than a URL
+class NowPlayingFiles {
+  constructor(mediaInterface) {
+    this.mediaInterface = mediaInterface;
+    this.running = false;
+    this.outputs = []; // { path, template } for each text file, plus { path, json: true }
+    this.written = new Map(); // path -> last content written, to skip unchanged files
+    this.queue = Promise.resolve(); // Writes happen one at a time, in order
+
+    this.setupMediaEventHandlers();
+  }
+
+  start() {
+    if (!config.get('nowPlayingFiles.enabled')) return;
+
+    this.outputs = [];
+    for (const file of config.get('nowPlayingFiles.files') || []) {
+      if (!file || !file.path) {
+        logger.warn('Skipping now-playing file without a path');
+        continue;
+      }
+      this.outputs.push({ path: resolvePath(file.path), template: file.template || '{artist} - {title}' });
+    }
+
+    const jsonPath = config.get('nowPlayingFiles.jsonPath');
+    if (jsonPath) {
+      this.outputs.push({ path: resolvePath(jsonPath), json: true });
+    }
+
+    this.written.clear();
+    this.running = true;
+    logger.info(`Writing now-playing files: ${this.outputs.map(output => output.path).join(', ') || 'none configured'}`);
+    this.update();
+  }
+
+  // Leave the idle text behind so nothing stale stays on air after quitting
+  async stop() {
+    if (!this.running) return;
+
+    this.update(true);
+    this.running = false;
+    await this.queue;
+    logger.info('Now-playing files stopped');
+  }
+
+  async restart() {
+    await this.stop();
+    this.start();
+  }
+
+  setupMediaEventHandlers() {
+    for (const eventName of MEDIA_EVENTS) {
+      this.mediaInterface.on(eventName, () => this.update());
+    }
+  }
+
+  isIdle(status) {
+    if (!status.connected || !status.track) return true;
+    return !status.isPlaying && config.get('nowPlayingFiles.idleWhenPaused') !== false;
+  }
+
+  getContent(output, status, idle) {
+    if (output.json) {
+      // Position is left out; it changes constantly and would rewrite the file on every event
+      const track = status.track ? { ...status.track } : null;
+      if (track) {
+        delete track.position;
+        delete track.positionUpdatedAt;
+      }
+      return JSON.stringify({ ...status, idle, track }, null, 2);
+    }
+
+    if (idle) {
+      return config.get('nowPlayingFiles.idleText') || '';
+    }
+
+    const track = status.track;
+    return renderTemplate(output.template, {
+      title: track.title || '',
+      artist: track.artist || '',
+      album: track.album || '',
+      duration: formatDuration(track.duration),
+      app: status.appName || '',
+      session: status.session || ''
+    });
+  }
+
+  update(stopping = false) {
+    if (!this.running) return;
+
+    let status = this.mediaInterface.getFullStatus();
+    if (stopping) {
+      status = { ...status, connected: false, isPlaying: false, track: null };
+    }
+    const idle = this.isIdle(status);
+
+    for (const output of this.outputs) {
+      const content = this.getContent(output, status, idle);
+      if (this.written.get(output.path) === content) continue;
+
+      this.written.set(output.path, content);
+      this.queue = this.queue.then(() => writeFileAtomic(output.path, content)).catch(error => {
+        // Try again on the next change
+        this.written.delete(output.path);
+        logger.error(`Error writing now-playing file ${output.path}:`, error.message);
+      });
+    }
+  }
+}
+
+module.exports = NowPlayingFiles;
@@ -0,0 +1,364 @@
+const dgram = require('dgram');
+const logger = require('./utils/logger');
+const config = require('./utils/config');
+const auth = require('./auth');
+const access = require('./access');
+const { runCommand, isReadOnlyCommand, CommandError } = require('./commands');
+
+// Minimal OSC 1.0 codec: messages with i/f/d/h/s/T/F/N arguments, and bundles (timetags ignored)
+
+function encodeString(value) {
+  const bytes = Buffer.from(value, 'utf8');
+  // Null-terminated, padded to a multiple of 4 bytes
+  const padded = Buffer.alloc(Math.ceil((bytes.length + 1) / 4) * 4);
+  bytes.copy(padded);
+  return padded;
+}
+
+function decodeString(buffer, offset) {
+  const end = buffer.indexOf(0, offset);
+  if (end === -1) {
+    throw new Error('Unterminated OSC string');
+  }
+  return {
+    value: buffer.toString('utf8', offset, end),
+    offset: offset + Math.ceil((end - offset + 1) / 4) * 4
+  };
+}
+
+function encodeMessage(address, args = []) {
+  let typeTags = ',';
+  const parts = [];
+
+  for (const arg of args) {
+    if (typeof arg === 'string') {
+      typeTags += 's';
+      parts.push(encodeString(arg));
+    } else if (typeof arg === 'boolean') {
+      typeTags += arg ? 'T' : 'F';
+    } else if (arg === null || arg === undefined) {
+      typeTags += 'N';
+    } else if (Number.isInteger(arg) && arg >= -2147483648 && arg <= 2147483647) {
+      typeTags += 'i';
+      const part = Buffer.alloc(4);
+      part.writeInt32BE(arg);
+      parts.push(part);
+    } else {
+      typeTags += 'f';
+      const part = Buffer.alloc(4);
+      part.writeFloatBE(Number(arg));
+      parts.push(part);
+    }
+  }
+
+  return Buffer.concat([encodeString(address), encodeString(typeTags), ...parts]);
+}
+
+function decodeMessage(buffer) {
+  const address = decodeString(buffer, 0);
+  if (address.offset >= buffer.length) {
+    // Type tag string is optional in very old senders
+    return { address: address.value, args: [] };
+  }
+
+  const typeTags = decodeString(buffer, address.offset);
+  let offset = typeTags.offset;
+  const args = [];
+
+  for (const tag of typeTags.value.substring(1)) {
+    switch (tag) {
+      case 'i':
+        args.push(buffer.readInt32BE(offset));
+        offset += 4;
+        break;
+      case 'f':
+        args.push(buffer.readFloatBE(offset));
+        offset += 4;
+        break;
+      case 'd':
+        args.push(buffer.readDoubleBE(offset));
+        offset += 8;
+        break;
+      case 'h':
+        args.push(Number(buffer.readBigInt64BE(offset)));
+        offset += 8;
+        break;
+      case 's': {
+        const string = decodeString(buffer, offset);
+        args.push(string.value);
+        offset = string.offset;
+        break;
+      }
+      case 'T':
+        args.push(true);
+        break;
+      case 'F':
+        args.push(false);
+        break;
+      case 'N':
+        args.push(null);
+        break;
+      default:
+        throw new Error(`Unsupported OSC type tag: ${tag}`);
+    }
+  }
+
+  return { address: address.value, args };
+}
+
+// Returns every message in a packet, flattening bundles
+function decodePacket(buffer) {
+  if (buffer.toString('utf8', 0, 8) !== '#bundle\0') {
+    return [decodeMessage(buffer)];
+  }
+
+  const messages = [];
+  let offset = 16; // "#bundle\0" + 8 byte timetag
+  while (offset + 4 <= buffer.length) {
+    const size = buffer.readInt32BE(offset);
+    offset += 4;
+    messages.push(...decodePacket(buffer.subarray(offset, offset + size)));
+    offset += size;
+  }
+  return messages;
+}
+
+// Parse "host:port" feedback targets
+function parseTarget(target) {
+  const index = String(target).lastIndexOf(':');
+  const host = String(target).substring(0, index).trim();
+  const port = Number(String(target).substring(index + 1));
+  if (index <= 0 || !host || !Number.isInteger(port) || port < 1 || port > 65535) {
+    return null;
+  }
+  return { host, port };
+}
+
+class OSCServer {
+  constructor(mediaInterface) {
+    this.mediaInterface = mediaInterface;
+    this.socket = null;
+    this.port = null;
+    this.prefix = '/mcb';
+    this.targets = [];
+
+    // Subscribe to media events once; the socket itself can be stopped and restarted
+    this.setupMediaEventHandlers();
+  }
+
+  start() {
+    if (!config.get('osc.enabled')) {
+      return Promise.resolve();
+    }
+
+    this.port = config.get('osc.listenPort') || 9000;
+    this.prefix = (config.get('osc.prefix') || '/mcb').replace(/\/$/, '');
+    this.targets = (config.get('osc.feedbackTargets') || []).map(parseTarget).filter(Boolean);
+
+    return new Promise((resolve, reject) => {
+      const socket = dgram.createSocket('udp4');
+
+      socket.on('message', (packet, rinfo) => {
+        this.handlePacket(packet, rinfo);
+      });
+
+      socket.once('error', (error) => {
+        logger.error(`OSC server error on port ${this.port}:`, error.message);
+        socket.close();
+        reject(error);
+      });
+
+      socket.bind(this.port, config.get('server.bindAddress') || '0.0.0.0', () => {
+        this.socket = socket;
+        socket.on('error', (error) => {
+          logger.error('OSC socket error:', error.message);
+        });
+        logger.info(`OSC server listening on UDP port ${this.port} (prefix ${this.prefix})`);
+        resolve();
+      });
+    });
+  }
+
+  stop() {
+    return new Promise((resolve) => {
+      if (this.socket) {
+        const socket = this.socket;
+        this.socket = null;
+        socket.close(() => {
+          logger.info('OSC server stopped');
+          resolve();
+        });
+      } else {
+        resolve();
+      }
+    });
+  }
+
+  async restart() {
+    await this.stop();
+    await this.start();
+  }
+
+  handlePacket(packet, rinfo) {
+    if (!access.isAddressAllowed(rinfo.address)) {
+      logger.warn(`Rejected OSC message from ${rinfo.address}`);
+      return;
+    }
+
+    let messages;
+    try {
+      messages = decodePacket(packet);
+    } catch (error) {
+      logger.error(`Invalid OSC packet from ${rinfo.address}:`, error.message);
+      return;
+    }
+
+    for (const message of messages) {
+      this.handleMessage(message, rinfo).catch(error => {
+        logger.error(`Error handling OSC ${message.address}:`, error.message);
+      });
+    }
+  }
+
+  async handleMessage({ address, args }, rinfo) {
+    if (!address.startsWith(this.prefix + '/')) return;
+
+    const command = address.substring(this.prefix.length + 1);
+
+    // With auth on, every message ends with a token string argument, e.g. /mcb/seek 30000 "<token>"
+    let scope = 'control';
+    if (auth.isAuthEnabled()) {
+      const token = args[args.length - 1];
+      scope = typeof token === 'string' ? auth.getTokenScope(token) : null;
+      if (!scope) {
+        logger.warn(`Rejected OSC ${address} from ${rinfo.address}: missing or invalid token`);
+        return;
+      }
+      args = args.slice(0, -1);
+    }
+    logger.debug(`OSC ${address}`, args);
+
+    // /mcb/status replies to the sender with the full current state
+    if (command === 'status') {
+      this.sendFullState([{ host: rinfo.address, port: rinfo.port }]);
+      return;
+    }
+
+    const [name, commandArgs] = this.resolveCommand(command, args);
+    if (scope !== 'control' && !isReadOnlyCommand(name, commandArgs)) {
+      logger.warn(`Rejected OSC ${address} from ${rinfo.address}: control token required`);
+      return;
+    }
+    try {
+      await runCommand(this.mediaInterface, name, commandArgs);
+    } catch (error) {
+      if (!(error instanceof CommandError)) throw error;
+      logger.warn(`OSC ${address}: ${error.message}`);
+    }
+  }
+
+  // Map an OSC path and positional arguments to a command (buttons often send 1.0 / 0.0 floats)
+  resolveCommand(command, args) {
+    const [value] = args;
+    switch (command) {
+      case 'seek':
+        return ['seek', { position: value }];
+      case 'seek/offset':
+        return ['seek', { offset: value }];
+      case 'volume':
+        return ['volume', value === undefined ? {} : { volume: value }];
+      case 'volume/step':
+        return ['volume', { step: value }];
+      case 'mute':
+        return ['volume', { muted: value === undefined ? 'toggle' : Boolean(value) }];
+      case 'shuffle':
+        return ['shuffle', { enabled: value === undefined ? 'toggle' : Boolean(value) }];
+      case 'repeat':
+        return ['repeat', { mode: value === undefined ? 'toggle' : value }];
+      default:
+        return [command, {}];
+    }
+  }
+
+  setupMediaEventHandlers() {
+    this.mediaInterface.on('track_changed', (data) => {
+      this.send(this.trackMessages(data));
+    });
+
+    this.mediaInterface.on('playback_state_changed', (data) => {
+      this.send([
+        ['playing', data.isPlaying ? 1 : 0],
+        ['position', Math.round(data.position || 0)]
+      ]);
+    });
+
+    this.mediaInterface.on('playback_mode_changed', (data) => {
+      this.send([
+        ['shuffle', data.shuffle ? 1 : 0],
+        ['repeat', data.repeat || 'off']
+      ]);
+    });
+
+    this.mediaInterface.on('volume_changed', (data) => {
+      this.send([
+        ['volume', data.volume],
+        ['muted', data.muted ? 1 : 0]
+      ]);
+    });
+
+    this.mediaInterface.on('media_connected', (data) => {
+      this.send([
+        ['connected', 1],
+        ['app', data.appName || '']
+      ]);
+    });
+
+    this.mediaInterface.on('media_disconnected', () => {
+      this.send([
+        ['connected', 0],
+        ['app', '']
+      ]);
+    });
+  }
+
+  trackMessages(track) {
+    return [
+      ['track/title', (track && track.title) || ''],
+      ['track/artist', (track && track.artist) || ''],
+      ['track/album', (track && track.album) || ''],
+      ['track/duration', Math.round((track && track.duration) || 0)]
+    ];
+  }
+
+  sendFullState(targets) {
+    const status = this.mediaInterface.getFullStatus();
+    this.send([
+      ['connected', status.connected ? 1 : 0],
+      ['app', status.appName || ''],
+      ...this.trackMessages(status.track),
+      ['playing', status.isPlaying ? 1 : 0],
+      ['position', Math.round((status.track && status.track.position) || 0)]
+    ], targets);
+  }
+
+  // Send [path, ...args] feedback messages under the prefix
+  send(messages, targets = this.targets) {
+    if (!this.socket || targets.length === 0) return;
+
+    for (const [path, ...args] of messages) {
+      const packet = encodeMessage(`${this.prefix}/${path}`, args);
+      for (const target of targets) {
+        this.socket.send(packet, target.port, target.host, (error) => {
+          if (error) {
+            logger.error(`Error sending OSC feedback to ${target.host}:${target.port}:`, error.message);
+          }
+        });
+      }
+    }
+  }
+}
+
+module.exports = OSCServer;
+module.exports.encodeMessage = encodeMessage;
+module.exports.decodePacket = decodePacket;
+module.exports.parseTarget = parseTarget;
@@ -0,0 +1,152 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('./utils/config');
+const { CommandError } = require('./commands');
+
+const OVERLAY_FILE = path.join(__dirname, '..', '..', 'resources', 'overlay.html');
+
+const FIELDS = ['title', 'artist', 'album', 'artwork', 'progress', 'app'];
+const LAYOUTS = ['bar', 'card', 'minimal'];
+
+// Every option with its default; query params and presets override these
+const DEFAULT_OPTIONS = {
+  layout: 'bar',
+  show: ['title', 'artist', 'artwork', 'progress'],
+  font: 'system-ui, sans-serif',
+  fontSize: 24,
+  color: '#ffffff',
+  accent: '#1db954',
+  background: 'rgba(0, 0, 0, 0.6)',
+  radius: 12,
+  width: 600,
+  artSize: 96,
+  align: 'left',
+  fade: 400,
+  hideWhenPaused: false
+};
+
+const BUILT_IN_PRESETS = {
+  bar: {},
+  card: { layout: 'card', width: 320, artSize: 280, align: 'center', show: ['title', 'artist', 'album', 'artwork', 'progress'] },
+  minimal: { layout: 'minimal', show: ['title', 'artist'], background: 'transparent', fontSize: 28 },
+  ticker: { layout: 'minimal', show: ['artist', 'title'], background: 'rgba(0, 0, 0, 0.8)', fontSize: 20, width: 1920, radius: 0, hideWhenPaused: true }
+};
+
+// Colors end up in CSS, so only plain values are accepted; "#" is optional since it's awkward in URLs
+function parseColor(value, name) {
+  const text = String(value).trim();
+  if (/^#?[0-9a-f]{3,8}$/i.test(text)) {
+    return text.startsWith('#') ? text : `#${text}`;
+  }
+  if (/^(rgba?|hsla?)\([\d\s.,%]+\)$/i.test(text) || /^[a-z]+$/i.test(text)) {
+    return text;
+  }
+  throw new CommandError(`${name} must be a hex, rgb(), hsl() or named color`);
+}
+
+function parseNumber(value, name, min, max) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || number > max) {
+    throw new CommandError(`${name} must be a number between ${min} and ${max}`);
+  }
+  return number;
+}
+
+function parseBoolean(value) {
+  return value === true || value === 'true' || value === '1';
+}
+
+const PARSERS = {
+  layout: (value) => {
+    if (!LAYOUTS.includes(value)) throw new CommandError(`layout must be one of: ${LAYOUTS.join(', ')}`);
+    return value;
+  },
+  show: (value) => {
+    const fields = Array.isArray(value) ? value : String(value).split(',').map(field => field.trim()).filter(Boolean);
+    const unknown = fields.filter(field => !FIELDS.includes(field));
+    if (unknown.length > 0) throw new CommandError(`Unknown field in show: ${unknown.join(', ')} (use ${FIELDS.join(', ')})`);
+    return fields;
+  },
+  font: (value) => {
+    if (!/^[\w\s,'"-]{1,100}$/.test(value)) throw new CommandError('font must be a font-family list');
+    return value;
+  },
+  fontSize: (value) => parseNumber(value, 'fontSize', 8, 200),
+  color: (value) => parseColor(value, 'color'),
+  accent: (value) => parseColor(value, 'accent'),
+  background: (value) => parseColor(value, 'background'),
+  radius: (value) => parseNumber(value, 'radius', 0, 200),
+  width: (value) => parseNumber(value, 'width', 100, 4000),
+  artSize: (value) => parseNumber(value, 'artSize', 16, 1024),
+  align: (value) => {
+    if (!['left', 'center', 'right'].includes(value)) throw new CommandError('align must be left, center or right');
+    return value;
+  },
+  fade: (value) => parseNumber(value, 'fade', 0, 5000),
+  hideWhenPaused: parseBoolean
+};
+
+// Validate the recognised options in values, ignoring anything else (e.g. token)
+function parseOverlayOptions(values = {}) {
+  const options = {};
+  for (const [name, parse] of Object.entries(PARSERS)) {
+    if (values[name] !== undefined && values[name] !== '') {
+      options[name] = parse(values[name]);
+    }
+  }
+  return options;
+}
+
+function getSavedPresets() {
+  return config.get('overlay.presets') || {};
+}
+
+function getPresets() {
+  return { ...BUILT_IN_PRESETS, ...getSavedPresets() };
+}
+
+// Defaults, then ?preset=, then any other query params
+function resolveOverlayOptions(query = {}) {
+  let preset = {};
+  if (query.preset) {
+    preset = getPresets()[query.preset];
+    if (!preset) throw new CommandError(`Unknown overlay preset: ${query.preset}`, 'not_found');
+  }
+  return { ...DEFAULT_OPTIONS, ...preset, ...parseOverlayOptions(query) };
+}
+
+function savePreset(name, values) {
+  if (!/^[\w-]{1,50}$/.test(name)) {
+    throw new CommandError('Preset names may only use letters, numbers, "-" and "_"');
+  }
+  if (BUILT_IN_PRESETS[name]) {
+    throw new CommandError(`${name} is a built-in preset`);
+  }
+
+  const preset = parseOverlayOptions(values);
+  config.set('overlay.presets', { ...getSavedPresets(), [name]: preset });
+  return preset;
+}
+
+function deletePreset(name) {
+  const presets = { ...getSavedPresets() };
+  if (!presets[name]) {
+    throw new CommandError(`Unknown overlay preset: ${name}`, 'not_found');
+  }
+  delete presets[name];
+  config.set('overlay.presets', presets);
+}
+
+// The overlay page with its options filled in
+function renderOverlay(options) {
+  const json = JSON.stringify(options).replace(/</g, '\\u003c');
+  return fs.readFileSync(OVERLAY_FILE, 'utf8').replace('/*OVERLAY_OPTIONS*/{}', json);
+}
+
+module.exports = {
+  resolveOverlayOptions,
+  getPresets,
+  savePreset,
+  deletePreset,
+  renderOverlay
+};
@@ -0,0 +1,522 @@
+const dgram = require('dgram');
+const crypto = require('crypto');
+const logger = require('./utils/logger');
+const config = require('./utils/config');
+const { CommandError, COMMAND_NAMES, runCommand } = require('./commands');
+const { encodeMessage, parseTarget } = require('./osc');
+
+// Events a rule can fire on. 'play' and 'pause' fire when playback starts or stops, and
+// 'position' when playback passes the rule's `at` time.
+const EVENTS = [
+  'track_started',
+  'track_ended',
+  'track_restarted',
+  'track_changed',
+  'play',
+  'pause',
+  'position',
+  'media_connected',
+  'media_disconnected'
+];
+const MEDIA_EVENTS = ['track_started', 'track_ended', 'track_restarted', 'track_changed', 'media_connected', 'media_disconnected'];
+
+const TEXT_CONDITIONS = ['title', 'artist', 'album', 'app'];
+const ACTION_TYPES = ['command', 'webhook', 'osc', 'delay'];
+const WEBHOOK_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Position rules are checked this often while playing; a bigger jump than MAX_POSITION_STEP
+// between checks is a seek, which doesn't count as passing the time
+const POSITION_CHECK_INTERVAL = 250;
+const MAX_POSITION_STEP = 2000;
+
+const WEBHOOK_TIMEOUT = 5000;
+const MAX_DELAY = 3600000;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Milliseconds, or "m:ss" / "h:mm:ss" (fractions of a second allowed)
+function parseTime(value, name) {
+  if (typeof value === 'number' && Number.isFinite(value) && value >= 0) {
+    return Math.round(value);
+  }
+
+  const match = typeof value === 'string' && value.trim().match(/^(?:(\d+):)?(\d+):(\d{1,2}(?:\.\d+)?)$/);
+  if (!match) {
+    throw new CommandError(`${name} must be milliseconds or a time like "2:30"`);
+  }
+  const [, hours, minutes, seconds] = match;
+  return Math.round(((Number(hours || 0) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000);
+}
+
+// "Intro" (exact, case-insensitive), { contains: "live" } or { regex: "^Intro( \\(Live\\))?$" }
+function parseTextCondition(value, name) {
+  if (typeof value === 'string') return value;
+
+  if (isPlainObject(value) && typeof value.contains === 'string') {
+    return { contains: value.contains };
+  }
+  if (isPlainObject(value) && typeof value.regex === 'string') {
+    try {
+      new RegExp(value.regex, 'i');
+    } catch (error) {
+      throw new CommandError(`${name}.regex is not a valid regular expression: ${error.message}`);
+    }
+    return { regex: value.regex };
+  }
+  throw new CommandError(`${name} must be a string, { contains } or { regex }`);
+}
+
+function parseConditions(values = {}) {
+  if (!isPlainObject(values)) {
+    throw new CommandError('conditions must be an object');
+  }
+
+  const conditions = {};
+  for (const [key, value] of Object.entries(values)) {
+    if (TEXT_CONDITIONS.includes(key)) {
+      conditions[key] = parseTextCondition(value, `conditions.${key}`);
+    } else if (key === 'isPlaying') {
+      if (typeof value !== 'boolean') throw new CommandError('conditions.isPlaying must be true or false');
+      conditions.isPlaying = value;
+    } else if (key === 'position') {
+      if (!isPlainObject(value) || (value.min === undefined && value.max === undefined)) {
+        throw new CommandError('conditions.position must be { min, max } (either may be left out)');
+      }
+      conditions.position = {};
+      if (value.min !== undefined) conditions.position.min = parseTime(value.min, 'conditions.position.min');
+      if (value.max !== undefined) conditions.position.max = parseTime(value.max, 'conditions.position.max');
+    } else {
+      throw new CommandError(`Unknown condition: ${key} (use ${[...TEXT_CONDITIONS, 'isPlaying', 'position'].join(', ')})`);
+    }
+  }
+  return conditions;
+}
+
+function parseAction(values, index) {
+  const name = `actions[${index}]`;
+  if (!isPlainObject(values) || !ACTION_TYPES.includes(values.type)) {
+    throw new CommandError(`${name}.type must be one of: ${ACTION_TYPES.join(', ')}`);
+  }
+
+  switch (values.type) {
+    case 'command': {
+      if (!COMMAND_NAMES.includes(values.command)) {
+        throw new CommandError(`${name}.command must be one of: ${COMMAND_NAMES.join(', ')}`);
+      }
+      if (values.args !== undefined && !isPlainObject(values.args)) {
+        throw new CommandError(`${name}.args must be an object`);
+      }
+      return { type: 'command', command: values.command, args: values.args || {} };
+    }
+
+    case 'webhook': {
+      if (typeof values.url !== 'string' || !/^https?:\/\//.test(values.url)) {
+        throw new CommandError(`${name}.url must be an http:// or https:// URL`);
+      }
+      const method = String(values.method || 'POST').toUpperCase();
+      if (!WEBHOOK_METHODS.includes(method)) {
+        throw new CommandError(`${name}.method must be one of: ${WEBHOOK_METHODS.join(', ')}`);
+      }
+      if (values.headers !== undefined &&
+          (!isPlainObject(values.headers) || Object.values(values.headers).some(value => typeof value !== 'string'))) {
+        throw new CommandError(`${name}.headers must be an object of strings`);
+      }
+      const action = { type: 'webhook', url: values.url, method, headers: values.headers || {} };
+      if (values.body !== undefined) action.body = values.body;
+      return action;
+    }
+
+    case 'osc': {
+      if (!parseTarget(values.target || '')) {
+        throw new CommandError(`${name}.target must be "host:port"`);
+      }
+      if (typeof values.address !== 'string' || !values.address.startsWith('/')) {
+        throw new CommandError(`${name}.address must be an OSC address starting with "/"`);
+      }
+      const args = values.args === undefined ? [] : values.args;
+      if (!Array.isArray(args) || args.some(arg => !['string', 'number', 'boolean'].includes(typeof arg))) {
+        throw new CommandError(`${name}.args must be an array of strings, numbers and booleans`);
+      }
+      return { type: 'osc', target: values.target, address: values.address, args };
+    }
+
+    case 'delay': {
+      const ms = parseTime(values.ms, `${name}.ms`);
+      if (ms > MAX_DELAY) {
+        throw new CommandError(`${name}.ms can be at most ${MAX_DELAY} (one hour)`);
+      }
+      return { type: 'delay', ms };
+    }
+  }
+}
+
+// Validate a rule from the API or config; an id is made up when it's left out
+function parseRule(values) {
+  if (!isPlainObject(values)) {
+    throw new CommandError('A rule must be a JSON object');
+  }
+
+  const id = values.id === undefined ? crypto.randomBytes(4).toString('hex') : String(values.id);
+  if (!/^[\w-]{1,50}$/.test(id)) {
+    throw new CommandError('Rule ids may only use letters, numbers, "-" and "_"');
+  }
+  if (values.name !== undefined && typeof values.name !== 'string') {
+    throw new CommandError('name must be a string');
+  }
+  if (!EVENTS.includes(values.event)) {
+    throw new CommandError(`event must be one of: ${EVENTS.join(', ')}`);
+  }
+  if (!Array.isArray(values.actions) || values.actions.length === 0) {
+    throw new CommandError('actions must be a non-empty array');
+  }
+
+  const rule = {
+    id,
+    name: values.name || id,
+    enabled: values.enabled !== false,
+    dryRun: values.dryRun === true,
+    event: values.event
+  };
+  if (values.event === 'position') {
+    if (values.at === undefined) {
+      throw new CommandError('Position rules need at (milliseconds or "m:ss")');
+    }
+    rule.at = parseTime(values.at, 'at');
+  }
+  rule.conditions = parseConditions(values.conditions);
+  rule.actions = values.actions.map(parseAction);
+  return rule;
+}
+
+function matchesText(condition, value) {
+  if (value === null || value === undefined) return false;
+
+  const text = String(value);
+  if (typeof condition === 'string') return text.toLowerCase() === condition.toLowerCase();
+  if (condition.contains !== undefined) return text.toLowerCase().includes(condition.contains.toLowerCase());
+  return new RegExp(condition.regex, 'i').test(text);
+}
+
+function matchesConditions(conditions, context) {
+  for (const key of TEXT_CONDITIONS) {
+    if (conditions[key] !== undefined && !matchesText(conditions[key], context[key])) return false;
+  }
+  if (conditions.isPlaying !== undefined && conditions.isPlaying !== context.isPlaying) return false;
+  if (conditions.position) {
+    const { min, max } = conditions.position;
+    if (min !== undefined && context.position < min) return false;
+    if (max !== undefined && context.position > max) return false;
+  }
+  return true;
+}
+
+function describeAction(action) {
+  switch (action.type) {
+    case 'command':
+      return `command ${action.command}${Object.keys(action.args).length > 0 ? ' ' + JSON.stringify(action.args) : ''}`;
+    case 'webhook':
+      return `webhook ${action.method} ${action.url}`;
+    case 'osc':
+      return `OSC ${action.address} to ${action.target}`;
+    case 'delay':
+      return `wait ${action.ms}ms`;
+  }
+}
+
+// Runs the actions of rules (in config under rules.list) whose event and conditions match
+// what the media player is doing, e.g. "when this track starts, send a webhook" or "pause at 2:30"
+class RulesEngine {
+  constructor() {
+    this.mediaInterface = null;
+    this.running = false;
+    this.rules = [];
+    this.lastFired = new Map(); // Rule id -> { at, event, dryRun }
+    this.lastIsPlaying = null;
+    this.lastPosition = null; // { trackInstanceId, position } at the last position check
+    this.positionTimer = null;
+    this.delays = new Map(); // Pending delay timer -> resolve, so stop() can end them
+    this.generation = 0; // Bumped on stop so actions waiting in a delay don't carry on
+    this.oscSocket = null;
+  }
+
+  start(mediaInterface) {
+    if (!this.mediaInterface) {
+      this.mediaInterface = mediaInterface;
+      this.setupMediaEventHandlers();
+    }
+
+    this.rules = this.loadRules();
+    this.lastIsPlaying = mediaInterface.getFullStatus().isPlaying;
+    this.lastPosition = null;
+    this.running = true;
+    this.updatePositionTimer();
+
+    if (this.rules.length > 0) {
+      const dryRun = config.get('rules.dryRun') ? ' (dry run)' : '';
+      logger.info(`Loaded ${this.rules.length} rule${this.rules.length === 1 ? '' : 's'}${dryRun}`);
+    }
+  }
+
+  stop() {
+    this.running = false;
+    this.generation++;
+    this.updatePositionTimer();
+
+    for (const [timer, resolve] of this.delays) {
+      clearTimeout(timer);
+      resolve();
+    }
+    this.delays.clear();
+
+    if (this.oscSocket) {
+      this.oscSocket.close();
+      this.oscSocket = null;
+    }
+  }
+
+  // Rules from config; a broken one is skipped rather than stopping the rest
+  loadRules() {
+    const rules = [];
+    for (const values of config.get('rules.list') || []) {
+      try {
+        rules.push(parseRule(values));
+      } catch (error) {
+        logger.warn(`Skipping rule ${values && values.id ? values.id : '(no id)'}: ${error.message}`);
+      }
+    }
+    return rules;
+  }
+
+  getRules() {
+    return this.rules.map(rule => ({ ...rule, lastFired: this.lastFired.get(rule.id) || null }));
+  }
+
+  isDryRun() {
+    return config.get('rules.dryRun') === true;
+  }
+
+  // Add a rule, or replace the one with the same id
+  saveRule(values) {
+    const rule = parseRule(values);
+    const index = this.rules.findIndex(existing => existing.id === rule.id);
+    if (index === -1) {
+      this.rules.push(rule);
+    } else {
+      this.rules[index] = rule;
+    }
+
+    this.persist();
+    return rule;
+  }
+
+  deleteRule(id) {
+    const index = this.rules.findIndex(rule => rule.id === id);
+    if (index === -1) {
+      throw new CommandError(`Unknown rule: ${id}`, 'not_found');
+    }
+
+    this.rules.splice(index, 1);
+    this.lastFired.delete(id);
+    this.persist();
+  }
+
+  persist() {
+    config.set('rules.list', this.rules);
+    this.updatePositionTimer();
+  }
+
+  setupMediaEventHandlers() {
+    for (const event of MEDIA_EVENTS) {
+      this.mediaInterface.on(event, (data) => this.handleEvent(event, data));
+    }
+
+    this.mediaInterface.on('playback_state_changed', (data) => {
+      if (data.isPlaying === this.lastIsPlaying) return;
+      this.lastIsPlaying = data.isPlaying;
+      this.handleEvent(data.isPlaying ? 'play' : 'pause', data);
+    });
+  }
+
+  // What conditions are matched against: the event's own track for track_* events (track_ended
+  // is about the track that just finished), otherwise the current state
+  getContext(event, data) {
+    const status = this.mediaInterface.getFullStatus();
+    const track = event.startsWith('track_') ? data : status.track;
+
+    return {
+      title: track ? track.title : null,
+      artist: track ? track.artist : null,
+      album: track ? track.album : null,
+      app: (event.startsWith('track_') && data.appName) || status.appName,
+      isPlaying: status.isPlaying,
+      position: data && typeof data.position === 'number' ? data.position : (status.track ? status.track.position : 0),
+      track,
+      session: status.session
+    };
+  }
+
+  handleEvent(event, data) {
+    if (!this.running) return;
+
+    const rules = this.rules.filter(rule => rule.enabled && rule.event === event);
+    if (rules.length === 0) return;
+
+    const context = this.getContext(event, data || {});
+    for (const rule of rules) {
+      if (matchesConditions(rule.conditions, context)) {
+        this.fire(rule, event, context);
+      }
+    }
+  }
+
+  updatePositionTimer() {
+    const needed = this.running && this.rules.some(rule => rule.enabled && rule.event === 'position');
+    if (needed && !this.positionTimer) {
+      this.positionTimer = setInterval(() => this.checkPosition(), POSITION_CHECK_INTERVAL);
+    } else if (!needed && this.positionTimer) {
+      clearInterval(this.positionTimer);
+      this.positionTimer = null;
+      this.lastPosition = null;
+    }
+  }
+
+  // Fire position rules whose time was passed since the last check, once per play of a track
+  checkPosition() {
+    const status = this.mediaInterface.getFullStatus();
+    const track = status.track;
+    if (!track || !status.isPlaying) return;
+
+    const position = track.position;
+    const last = this.lastPosition;
+    this.lastPosition = { trackInstanceId: track.trackInstanceId, position };
+
+    // A play that just began counts from before its start, so `at: 0` can fire too
+    let from = null;
+    if (last && last.trackInstanceId === track.trackInstanceId) {
+      from = last.position;
+    } else if (position <= MAX_POSITION_STEP) {
+      from = -1;
+    }
+    if (from === null || position <= from || position - from > MAX_POSITION_STEP) return;
+
+    const rules = this.rules.filter(rule => rule.enabled && rule.event === 'position' && rule.at > from && rule.at <= position);
+    if (rules.length === 0) return;
+
+    const context = this.getContext('position', { position });
+    for (const rule of rules) {
+      if (matchesConditions(rule.conditions, context)) {
+        this.fire(rule, 'position', context);
+      }
+    }
+  }
+
+  fire(rule, event, context) {
+    const dryRun = this.isDryRun() || rule.dryRun;
+    this.lastFired.set(rule.id, { at: new Date().toISOString(), event, dryRun });
+
+    const actions = rule.actions.map(describeAction).join(', then ');
+    if (dryRun) {
+      logger.info(`[dry run] Rule "${rule.name}" would fire on ${event}: ${actions}`);
+      return;
+    }
+
+    logger.info(`Rule "${rule.name}" fired on ${event}: ${actions}`);
+    this.runActions(rule, event, context);
+  }
+
+  // Actions run in order; a failed one is logged and the rest still run
+  async runActions(rule, event, context) {
+    const generation = this.generation;
+
+    for (const action of rule.actions) {
+      if (generation !== this.generation) return;
+      try {
+        await this.runAction(action, rule, event, context);
+      } catch (error) {
+        logger.error(`Rule "${rule.name}": ${describeAction(action)} failed:`, error.message);
+      }
+    }
+  }
+
+  async runAction(action, rule, event, context) {
+    switch (action.type) {
+      case 'command': {
+        const result = await runCommand(this.mediaInterface, action.command, action.args);
+        if (result && result.success === false) {
+          throw new Error(result.error || 'Command failed');
+        }
+        break;
+      }
+
+      case 'webhook':
+        await this.sendWebhook(action, {
+          rule: { id: rule.id, name: rule.name },
+          event,
+          app: context.app,
+          session: context.session,
+          isPlaying: context.isPlaying,
+          position: context.position,
+          track: context.track
+        });
+        break;
+
+      case 'osc':
+        await this.sendOsc(action);
+        break;
+
+      case 'delay':
+        await this.delay(action.ms);
+        break;
+    }
+  }
+
+  // The action's body, or a description of what happened, as JSON
+  async sendWebhook(action, payload) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), WEBHOOK_TIMEOUT);
+    try {
+      const hasBody = action.method !== 'GET';
+      const response = await fetch(action.url, {
+        method: action.method,
+        headers: hasBody ? { 'Content-Type': 'application/json', ...action.headers } : action.headers,
+        body: hasBody ? JSON.stringify(action.body !== undefined ? action.body : payload) : undefined,
+        signal: controller.signal
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status} from ${action.url}`);
+      }
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  sendOsc(action) {
+    if (!this.oscSocket) {
+      this.oscSocket = dgram.createSocket('udp4');
+      this.oscSocket.on('error', (error) => {
+        logger.error('Rules OSC socket error:', error.message);
+      });
+    }
+
+    const { host, port } = parseTarget(action.target);
+    const packet = encodeMessage(action.address, action.args);
+    return new Promise((resolve, reject) => {
+      this.oscSocket.send(packet, port, host, (error) => (error ? reject(error) : resolve()));
+    });
+  }
+
+  delay(ms) {
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        this.delays.delete(timer);
+        resolve();
+      }, ms);
+      this.delays.set(timer, resolve);
+    });
+  }
+}
+
+module.exports = new RulesEngine();
+module.exports.parseRule = parseRule;
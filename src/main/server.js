@@ -2,6 +2,22 @@ const express = require('express');
 const cors = require('cors');
 const logger = require('./utils/logger');
 const config = require('./utils/config');
+const auth = require('./auth');
+const access = require('./access');
+const { describeBridge, scanForBridges } = require('./discovery');
+const history = require('./history');
+const artworkCache = require('./artwork');
+const overlay = require('./overlay');
+const rules = require('./rules');
+const {
+  CommandError,
+  runCommand,
+  resolveTarget,
+  parseSeekArgs,
+  parseVolumeArgs,
+  parseShuffleArgs,
+  parseRepeatArgs
+} = require('./commands');
 
 class HTTPServer {
   constructor(mediaInterface) {
@@ -9,15 +25,42 @@ class HTTPServer {
     this.app = express();
     this.server = null;
     this.port = config.get('server.httpPort') || 6262;
+    this.host = config.get('server.bindAddress') || '0.0.0.0';
 
     this.setupMiddleware();
     this.setupRoutes();
   }
 
   setupMiddleware() {
+    // IP allowlist/denylist
+    this.app.use((req, res, next) => {
+      if (!access.isAddressAllowed(req.socket.remoteAddress)) {
+        logger.warn(`Rejected HTTP request from ${req.socket.remoteAddress}`);
+        res.status(403).json({ success: false, error: 'Forbidden' });
+        return;
+      }
+      next();
+    });
+
     this.app.use(cors());
     this.app.use(express.json());
 
+    // Token authentication (when enabled): any valid token can read, commands need the control token
+    this.app.use((req, res, next) => {
+      if (req.path === '/health' || req.path === '/discover') return next();
+
+      const scope = auth.getRequestScope(req);
+      if (!scope) {
+        res.status(401).json({ success: false, error: 'Unauthorized' });
+        return;
+      }
+      if (req.method !== 'GET' && scope !== 'control') {
+        res.status(403).json({ success: false, error: 'Control token required' });
+        return;
+      }
+      next();
+    });
+
     // Request logging
     this.app.use((req, res, next) => {
       logger.debug(`${req.method} ${req.path}`);
@@ -26,83 +69,261 @@ class HTTPServer {
   }
 
   setupRoutes() {
-    // GET /status - Get current media status
-    this.app.get('/status', (req, res) => {
+    // GET /status - Get current media status (?session= or ?app= for a specific session)
+    this.app.get('/status', async (req, res) => {
       try {
-        const status = this.mediaInterface.getFullStatus();
+        const status = await runCommand(this.mediaInterface, 'status', req.query);
         res.json(status);
       } catch (error) {
-        logger.error('Error getting status:', error);
-        res.status(500).json({ error: error.message });
+        this.sendCommandError(res, 'Error getting status:', error);
       }
     });
 
     // GET /track - Get current track info
-    this.app.get('/track', (req, res) => {
+    this.app.get('/track', async (req, res) => {
       try {
-        const trackInfo = this.mediaInterface.getTrackInfo();
-        if (!trackInfo) {
-          res.status(404).json({ error: 'No track currently playing' });
-          return;
-        }
+        const trackInfo = await runCommand(this.mediaInterface, 'track', req.query);
         res.json(trackInfo);
       } catch (error) {
-        logger.error('Error getting track:', error);
-        res.status(500).json({ error: error.message });
+        this.sendCommandError(res, 'Error getting track:', error);
+      }
+    });
+
+    // GET /position - Current position, extrapolated from the last report
+    this.app.get('/position', async (req, res) => {
+      try {
+        res.json(await runCommand(this.mediaInterface, 'position'));
+      } catch (error) {
+        this.sendCommandError(res, 'Error getting position:', error);
+      }
+    });
+
+    // GET /sessions - Every player the bridge can see, each with its own state
+    this.app.get('/sessions', (req, res) => {
+      try {
+        res.json({ success: true, sessions: this.mediaInterface.getSessions() });
+      } catch (error) {
+        logger.error('Error getting sessions:', error);
+        res.status(500).json({ success: false, error: error.message });
       }
     });
 
     // POST /play - Play
     this.app.post('/play', async (req, res) => {
       try {
-        const result = await this.mediaInterface.play();
+        const result = await this.mediaInterface.play(this.getTarget(req));
         res.json(result);
       } catch (error) {
-        logger.error('Error playing:', error);
-        res.status(500).json({ success: false, error: error.message });
+        this.sendCommandError(res, 'Error playing:', error);
       }
     });
 
     // POST /pause - Pause
     this.app.post('/pause', async (req, res) => {
       try {
-        const result = await this.mediaInterface.pause();
+        const result = await this.mediaInterface.pause(this.getTarget(req));
         res.json(result);
       } catch (error) {
-        logger.error('Error pausing:', error);
-        res.status(500).json({ success: false, error: error.message });
+        this.sendCommandError(res, 'Error pausing:', error);
       }
     });
 
     // POST /toggle - Toggle play/pause
     this.app.post('/toggle', async (req, res) => {
       try {
-        const result = await this.mediaInterface.toggle();
+        const result = await this.mediaInterface.toggle(this.getTarget(req));
         res.json(result);
       } catch (error) {
-        logger.error('Error toggling:', error);
-        res.status(500).json({ success: false, error: error.message });
+        this.sendCommandError(res, 'Error toggling:', error);
       }
     });
 
     // POST /next - Next track
     this.app.post('/next', async (req, res) => {
       try {
-        const result = await this.mediaInterface.next();
+        const result = await this.mediaInterface.next(this.getTarget(req));
         res.json(result);
       } catch (error) {
-        logger.error('Error going to next track:', error);
-        res.status(500).json({ success: false, error: error.message });
+        this.sendCommandError(res, 'Error going to next track:', error);
       }
     });
 
     // POST /previous - Previous track
     this.app.post('/previous', async (req, res) => {
       try {
-        const result = await this.mediaInterface.previous();
+        const result = await this.mediaInterface.previous(this.getTarget(req));
+        res.json(result);
+      } catch (error) {
+        this.sendCommandError(res, 'Error going to previous track:', error);
+      }
+    });
+
+    // POST /seek - Seek to { position } or by { offset } (milliseconds)
+    this.app.post('/seek', async (req, res) => {
+      try {
+        const args = parseSeekArgs({ ...req.query, ...req.body });
+        const result = await this.mediaInterface.seek(args, this.getTarget(req));
+        res.json(result);
+      } catch (error) {
+        this.sendCommandError(res, 'Error seeking:', error);
+      }
+    });
+
+    // POST /shuffle - Set shuffle { enabled } (true, false or 'toggle')
+    this.app.post('/shuffle', async (req, res) => {
+      try {
+        const enabled = parseShuffleArgs({ ...req.query, ...req.body });
+        const result = await this.mediaInterface.setShuffle(enabled, this.getTarget(req));
+        res.json(result);
+      } catch (error) {
+        this.sendCommandError(res, 'Error setting shuffle:', error);
+      }
+    });
+
+    // POST /repeat - Set repeat { mode } ('off', 'track', 'playlist' or 'toggle')
+    this.app.post('/repeat', async (req, res) => {
+      try {
+        const mode = parseRepeatArgs({ ...req.query, ...req.body });
+        const result = await this.mediaInterface.setRepeat(mode, this.getTarget(req));
+        res.json(result);
+      } catch (error) {
+        this.sendCommandError(res, 'Error setting repeat:', error);
+      }
+    });
+
+    // GET /volume - Get current volume (0-100) and mute state
+    this.app.get('/volume', async (req, res) => {
+      try {
+        const result = await this.mediaInterface.getVolume();
+        res.json(result);
+      } catch (error) {
+        logger.error('Error getting volume:', error);
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    // POST /volume - Set { volume } (0-100), { step } (+/-), and/or { muted } (true, false or 'toggle')
+    this.app.post('/volume', async (req, res) => {
+      try {
+        const args = parseVolumeArgs({ ...req.query, ...req.body });
+        const result = await this.mediaInterface.setVolume(args);
+        res.json(result);
+      } catch (error) {
+        this.sendCommandError(res, 'Error setting volume:', error);
+      }
+    });
+
+    // GET /artwork/current and /artwork/:hash - Cached artwork; ?size= scales it down to fit
+    this.app.get('/artwork/:hash', async (req, res) => {
+      try {
+        const isCurrent = req.params.hash === 'current';
+        const size = artworkCache.parseArtworkSize(req.query.size);
+        const hash = isCurrent ? this.mediaInterface.getArtworkHash() : req.params.hash;
+        const image = hash ? await artworkCache.get(hash, size) : null;
+        if (!image) {
+          res.status(404).json({ success: false, error: 'Artwork not found' });
+          return;
+        }
+
+        // Hashed URLs never change; /artwork/current must be revalidated via its ETag
+        res.set('ETag', image.etag);
+        res.set('Cache-Control', isCurrent ? 'no-cache' : 'public, max-age=31536000, immutable');
+        res.type(image.mimeType).send(image.data);
+      } catch (error) {
+        this.sendCommandError(res, 'Error serving artwork:', error);
+      }
+    });
+
+    // GET /overlay - Now-playing page for OBS browser sources; ?preset= and query params set its look
+    this.app.get('/overlay', (req, res) => {
+      try {
+        res.type('html').send(overlay.renderOverlay(overlay.resolveOverlayOptions(req.query)));
+      } catch (error) {
+        this.sendCommandError(res, 'Error rendering overlay:', error);
+      }
+    });
+
+    // GET /overlay/presets - Built-in and saved overlay presets
+    this.app.get('/overlay/presets', (req, res) => {
+      res.json({ success: true, presets: overlay.getPresets() });
+    });
+
+    // PUT /overlay/presets/:name - Save overlay options under a name for ?preset=
+    this.app.put('/overlay/presets/:name', (req, res) => {
+      try {
+        const preset = overlay.savePreset(req.params.name, req.body || {});
+        res.json({ success: true, preset });
+      } catch (error) {
+        this.sendCommandError(res, 'Error saving overlay preset:', error);
+      }
+    });
+
+    this.app.delete('/overlay/presets/:name', (req, res) => {
+      try {
+        overlay.deletePreset(req.params.name);
+        res.json({ success: true });
+      } catch (error) {
+        this.sendCommandError(res, 'Error deleting overlay preset:', error);
+      }
+    });
+
+    // GET /history - Played tracks, newest first; ?from=&to= (ISO dates or ms), ?limit=&offset=
+    this.app.get('/history', (req, res) => {
+      try {
+        const query = history.parseHistoryQuery(req.query);
+        res.json({ success: true, ...history.query(query) });
+      } catch (error) {
+        this.sendCommandError(res, 'Error reading history:', error);
+      }
+    });
+
+    // GET /rules - Automation rules, with when each last fired. Webhook headers can hold
+    // credentials, so reading them needs the control token too.
+    this.app.get('/rules', (req, res) => {
+      if (auth.getRequestScope(req) !== 'control') {
+        res.status(403).json({ success: false, error: 'Control token required' });
+        return;
+      }
+      res.json({ success: true, dryRun: rules.isDryRun(), rules: rules.getRules() });
+    });
+
+    // POST /rules - Add a rule, or replace the one with the same id
+    this.app.post('/rules', (req, res) => {
+      try {
+        const rule = rules.saveRule(req.body || {});
+        res.json({ success: true, rule });
+      } catch (error) {
+        this.sendCommandError(res, 'Error saving rule:', error);
+      }
+    });
+
+    this.app.delete('/rules/:id', (req, res) => {
+      try {
+        rules.deleteRule(req.params.id);
+        res.json({ success: true });
+      } catch (error) {
+        this.sendCommandError(res, 'Error deleting rule:', error);
+      }
+    });
+
+    // GET /discover - Describe this bridge; ?scan=true also browses the LAN for others.
+    // Describing is public so clients can find out whether they need a token; scanning isn't
+    this.app.get('/discover', async (req, res) => {
+      try {
+        const result = { success: true, bridge: describeBridge(this.port, this.host) };
+
+        if (req.query.scan === 'true' || req.query.scan === '1') {
+          if (!auth.getRequestScope(req)) {
+            res.status(401).json({ success: false, error: 'Unauthorized' });
+            return;
+          }
+          const timeout = Math.min(Math.max(Number(req.query.timeout) || 2000, 500), 10000);
+          result.bridges = await scanForBridges(timeout);
+        }
+
         res.json(result);
       } catch (error) {
-        logger.error('Error going to previous track:', error);
+        logger.error('Error discovering bridges:', error);
         res.status(500).json({ success: false, error: error.message });
       }
     });
@@ -113,11 +334,26 @@ class HTTPServer {
     });
   }
 
+  // Session id from ?session= / ?app= (or the JSON body); undefined targets the active player
+  getTarget(req) {
+    return resolveTarget(this.mediaInterface, { ...req.query, ...req.body });
+  }
+
+  // Invalid arguments are the client's fault (400), unknown sessions are 404, anything else is a server error
+  sendCommandError(res, logMessage, error) {
+    if (error instanceof CommandError) {
+      res.status(error.code === 'not_found' ? 404 : 400).json({ success: false, error: error.message });
+      return;
+    }
+    logger.error(logMessage, error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+
   start() {
     return new Promise((resolve, reject) => {
       try {
-        this.server = this.app.listen(this.port, () => {
-          logger.info(`HTTP server listening on port ${this.port}`);
+        this.server = this.app.listen(this.port, this.host, () => {
+          logger.info(`HTTP server listening on ${this.host}:${this.port}`);
           resolve();
         });
 
@@ -125,6 +361,9 @@ class HTTPServer {
           if (error.code === 'EADDRINUSE') {
             logger.error(`Port ${this.port} is already in use`);
             reject(new Error(`Port ${this.port} is already in use`));
+          } else if (error.code === 'EADDRNOTAVAIL') {
+            logger.error(`Bind address ${this.host} is not available`);
+            reject(new Error(`Bind address ${this.host} is not available`));
           } else {
             logger.error('Server error:', error);
             reject(error);
@@ -140,19 +379,47 @@ class HTTPServer {
   stop() {
     return new Promise((resolve) => {
       if (this.server) {
-        this.server.close(() => {
+        const server = this.server;
+        this.server = null;
+        server.close(() => {
           logger.info('HTTP server stopped');
           resolve();
         });
+        // Drop idle keep-alive connections so close() doesn't wait on them
+        server.closeAllConnections();
       } else {
         resolve();
       }
     });
   }
 
+  // Listen again with the port/bind address from config, falling back to the previous ones on failure
+  async rebind() {
+    const previousPort = this.port;
+    const previousHost = this.host;
+
+    await this.stop();
+    this.port = config.get('server.httpPort') || 6262;
+    this.host = config.get('server.bindAddress') || '0.0.0.0';
+
+    try {
+      await this.start();
+    } catch (error) {
+      logger.error(`Failed to rebind HTTP server, restoring ${previousHost}:${previousPort}`);
+      this.port = previousPort;
+      this.host = previousHost;
+      await this.start();
+      throw error;
+    }
+  }
+
   getPort() {
     return this.port;
   }
+
+  getHost() {
+    return this.host;
+  }
 }
 
 module.exports = HTTPServer;
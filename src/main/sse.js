@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const logger = require('./utils/logger');
+
+// Same events as the WebSocket, keyed by the media event they come from
+const MEDIA_EVENTS = {
+  track_changed: 'track_changed',
+  track_started: 'track_started',
+  track_ended: 'track_ended',
+  track_restarted: 'track_restarted',
+  playback_state_changed: 'playback_state_changed',
+  playback_mode_changed: 'playback_mode_changed',
+  volume_changed: 'volume_changed',
+  media_connected: 'connection_status',
+  media_disconnected: 'connection_status',
+  session_updated: 'session_updated',
+  session_removed: 'session_removed'
+};
+
+const EVENT_NAMES = [...new Set(Object.values(MEDIA_EVENTS))];
+
+// Recent events kept for Last-Event-ID resume
+const BUFFER_SIZE = 500;
+const KEEPALIVE_INTERVAL = 15000;
+const RETRY_MS = 2000;
+
+// GET /events - Server-Sent Events for clients that find WebSocket framing awkward
+// (curl, microcontrollers). Event ids are "<stream>:<seq>"; the stream part changes on
+// every start, so ids from before a restart fall back to a fresh snapshot.
+class EventStream {
+  constructor(mediaInterface, httpServer) {
+    this.mediaInterface = mediaInterface;
+    this.streamId = crypto.randomBytes(4).toString('hex');
+    this.sequence = 0;
+    this.buffer = []; // { seq, event, data }, oldest first
+    this.clients = new Map(); // Response -> Set of event names, or null for all
+    this.keepAliveTimer = null;
+
+    httpServer.app.get('/events', (req, res) => this.handleRequest(req, res));
+    this.setupMediaEventHandlers();
+  }
+
+  handleRequest(req, res) {
+    let events = null;
+    if (req.query.events) {
+      const names = String(req.query.events).split(',').map(name => name.trim()).filter(Boolean);
+      const unknown = names.filter(name => !EVENT_NAMES.includes(name));
+      if (unknown.length > 0) {
+        res.status(400).json({ success: false, error: `Unknown events: ${unknown.join(', ')} (available: ${EVENT_NAMES.join(', ')})` });
+        return;
+      }
+      events = new Set(names);
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    // EventSource sends the header on reconnect; ?lastEventId= is for clients that can't set headers
+    const missed = this.getEventsSince(req.get('Last-Event-ID') || req.query.lastEventId);
+    if (missed) {
+      for (const entry of missed) {
+        this.write(res, events, entry);
+      }
+    } else {
+      this.sendSnapshot(res, events);
+    }
+
+    this.clients.set(res, events);
+    this.startKeepAlive();
+    logger.info(`SSE client connected (${this.clients.size} total)`);
+
+    req.on('close', () => {
+      this.clients.delete(res);
+      if (this.clients.size === 0) {
+        this.stopKeepAlive();
+      }
+      logger.info('SSE client disconnected');
+    });
+  }
+
+  // Buffered events after lastEventId, or null if it's missing, from another run, or too old
+  getEventsSince(lastEventId) {
+    if (!lastEventId) return null;
+
+    const match = String(lastEventId).match(/^([a-f0-9]+):(\d+)$/);
+    if (!match || match[1] !== this.streamId) return null;
+
+    const seq = Number(match[2]);
+    const oldest = this.buffer.length > 0 ? this.buffer[0].seq : this.sequence + 1;
+    if (seq > this.sequence || seq < oldest - 1) return null;
+
+    return this.buffer.filter(entry => entry.seq > seq);
+  }
+
+  // Current state, like a new WebSocket client gets; tagged with the latest id so a reconnect resumes from here
+  sendSnapshot(res, events) {
+    const status = this.mediaInterface.getFullStatus();
+    const snapshot = [{
+      event: 'connection_status',
+      data: { connected: status.connected, appName: status.appName, session: status.session }
+    }];
+
+    if (status.track) {
+      snapshot.push({ event: 'track_changed', data: status.track });
+    }
+
+    if (status.connected) {
+      snapshot.push({ event: 'playback_state_changed', data: this.mediaInterface.getPlaybackState() });
+    }
+
+    for (const entry of snapshot) {
+      this.write(res, events, { ...entry, seq: this.sequence });
+    }
+  }
+
+  write(res, events, entry) {
+    if (events && !events.has(entry.event)) return;
+    res.write(`id: ${this.streamId}:${entry.seq}\nevent: ${entry.event}\ndata: ${JSON.stringify(entry.data)}\n\n`);
+  }
+
+  setupMediaEventHandlers() {
+    for (const [mediaEvent, event] of Object.entries(MEDIA_EVENTS)) {
+      this.mediaInterface.on(mediaEvent, (data) => {
+        if (mediaEvent === 'media_connected') {
+          data = { connected: true, appName: data.appName, session: data.session };
+        } else if (mediaEvent === 'media_disconnected') {
+          data = { connected: false };
+        }
+        this.broadcast(event, data);
+      });
+    }
+  }
+
+  broadcast(event, data) {
+    const entry = { seq: ++this.sequence, event, data };
+    this.buffer.push(entry);
+    if (this.buffer.length > BUFFER_SIZE) {
+      this.buffer.shift();
+    }
+
+    for (const [res, events] of this.clients) {
+      this.write(res, events, entry);
+    }
+  }
+
+  // A comment line every so often keeps proxies and idle-timeouts from dropping the connection
+  startKeepAlive() {
+    if (this.keepAliveTimer) return;
+    this.keepAliveTimer = setInterval(() => {
+      for (const res of this.clients.keys()) {
+        res.write(': keepalive\n\n');
+      }
+    }, KEEPALIVE_INTERVAL);
+  }
+
+  stopKeepAlive() {
+    if (this.keepAliveTimer) {
+      clearInterval(this.keepAliveTimer);
+      this.keepAliveTimer = null;
+    }
+  }
+
+  // End every stream; clients reconnect on their own and resume with Last-Event-ID
+  stop() {
+    for (const res of this.clients.keys()) {
+      res.end();
+    }
+    this.clients.clear();
+    this.stopKeepAlive();
+  }
+
+  getClientCount() {
+    return this.clients.size;
+  }
+}
+
+module.exports = EventStream;
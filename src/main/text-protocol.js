@@ -0,0 +1,417 @@
+const net = require('net');
+const dgram = require('dgram');
+const logger = require('./utils/logger');
+const config = require('./utils/config');
+const auth = require('./auth');
+const access = require('./access');
+const { runCommand, isReadOnlyCommand, CommandError } = require('./commands');
+
+// Longest line a TCP client may send before it's disconnected
+const MAX_LINE_LENGTH = 1024;
+
+// UDP peers have no connection to close, so PUSH ON lapses unless they keep sending commands
+const UDP_PUSH_TTL = 10 * 60 * 1000;
+const MAX_UDP_PUSH_TARGETS = 16;
+
+// Values are single-line: booleans become 1/0, null becomes empty
+function formatValue(value) {
+  if (value === true) return '1';
+  if (value === false) return '0';
+  if (value === null || value === undefined) return '';
+  return String(value).replace(/[\r\n]+/g, ' ');
+}
+
+// Arrays and objects are flattened into indexed keys: sessions.0.id=spotify, sessions.0.track.title=…
+function formatLines(values, prefix = '') {
+  return Object.entries(values).flatMap(([key, value]) => {
+    const name = prefix + key;
+    if (value !== null && typeof value === 'object' && Object.keys(value).length > 0) {
+      return formatLines(value, `${name}.`);
+    }
+    return [`${name}=${typeof value === 'object' ? '' : formatValue(value)}`];
+  });
+}
+
+function statusValues(status) {
+  const track = status.track || {};
+  return {
+    connected: status.connected,
+    app: status.appName,
+    playing: status.isPlaying,
+    title: track.title,
+    artist: track.artist,
+    album: track.album,
+    duration: track.duration,
+    position: track.position !== undefined ? Math.round(track.position) : null,
+    shuffle: status.shuffle,
+    repeat: status.repeat
+  };
+}
+
+function parseSwitch(value) {
+  if (value === undefined) return 'toggle';
+  const word = value.toLowerCase();
+  if (word === 'on' || word === '1' || word === 'true') return true;
+  if (word === 'off' || word === '0' || word === 'false') return false;
+  return word;
+}
+
+// "SEEK 30000" -> ['seek', { position: '30000' }]; "+n"/"-n" values are relative
+function parseLine(line) {
+  const [word, value] = line.trim().split(/\s+/);
+  const command = word.toLowerCase();
+  const relative = value !== undefined && /^[+-]/.test(value);
+
+  switch (command) {
+    case 'seek':
+      return ['seek', relative ? { offset: value } : { position: value }];
+    case 'volume':
+      if (value === undefined) return ['volume', {}];
+      return ['volume', relative ? { step: value } : { volume: value }];
+    case 'mute':
+      return ['volume', { muted: parseSwitch(value) }];
+    case 'shuffle':
+      return ['shuffle', { enabled: parseSwitch(value) }];
+    case 'repeat':
+      return ['repeat', { mode: value === undefined ? 'toggle' : value.toLowerCase() }];
+    default:
+      return [command, {}];
+  }
+}
+
+class TextProtocolServer {
+  constructor(mediaInterface) {
+    this.mediaInterface = mediaInterface;
+    this.tcpServer = null;
+    this.udpSocket = null;
+    this.clients = new Map(); // TCP socket -> { push, queue, scope, setPush }
+    this.udpPushTargets = new Map(); // "address:port" -> { address, port, expiresAt }
+    this.lastIsPlaying = null;
+
+    // Subscribe to media events once; the listeners can be stopped and restarted
+    this.setupMediaEventHandlers();
+  }
+
+  async start() {
+    if (!config.get('textProtocol.enabled')) return;
+
+    const host = config.get('server.bindAddress') || '0.0.0.0';
+    const tcpPort = config.get('textProtocol.tcpPort');
+    const udpPort = config.get('textProtocol.udpPort');
+
+    try {
+      if (tcpPort) {
+        await this.startTcp(tcpPort, host);
+      }
+      if (udpPort) {
+        await this.startUdp(udpPort, host);
+      }
+    } catch (error) {
+      await this.stop();
+      throw error;
+    }
+  }
+
+  startTcp(port, host) {
+    return new Promise((resolve, reject) => {
+      const server = net.createServer((socket) => this.handleConnection(socket));
+
+      server.once('error', (error) => {
+        logger.error(`Text protocol TCP error on port ${port}:`, error.message);
+        reject(error);
+      });
+
+      server.listen(port, host, () => {
+        this.tcpServer = server;
+        logger.info(`Text protocol listening on TCP port ${port}`);
+        resolve();
+      });
+    });
+  }
+
+  startUdp(port, host) {
+    return new Promise((resolve, reject) => {
+      const socket = dgram.createSocket('udp4');
+
+      socket.on('message', (packet, rinfo) => {
+        this.handleDatagram(packet, rinfo);
+      });
+
+      socket.once('error', (error) => {
+        logger.error(`Text protocol UDP error on port ${port}:`, error.message);
+        socket.close();
+        reject(error);
+      });
+
+      socket.bind(port, host, () => {
+        this.udpSocket = socket;
+        socket.on('error', (error) => {
+          logger.error('Text protocol UDP socket error:', error.message);
+        });
+        logger.info(`Text protocol listening on UDP port ${port}`);
+        resolve();
+      });
+    });
+  }
+
+  stop() {
+    const closing = [];
+
+    if (this.tcpServer) {
+      const server = this.tcpServer;
+      this.tcpServer = null;
+      for (const socket of this.clients.keys()) {
+        socket.destroy();
+      }
+      this.clients.clear();
+      closing.push(new Promise(resolve => server.close(() => resolve())));
+    }
+
+    if (this.udpSocket) {
+      const socket = this.udpSocket;
+      this.udpSocket = null;
+      this.udpPushTargets.clear();
+      closing.push(new Promise(resolve => socket.close(() => resolve())));
+    }
+
+    return Promise.all(closing);
+  }
+
+  async restart() {
+    await this.stop();
+    await this.start();
+  }
+
+  handleConnection(socket) {
+    const remote = `${socket.remoteAddress}:${socket.remotePort}`;
+    if (!access.isAddressAllowed(socket.remoteAddress)) {
+      logger.warn(`Rejected text protocol connection from ${socket.remoteAddress}`);
+      socket.destroy();
+      return;
+    }
+
+    logger.info(`Text protocol client connected: ${remote}`);
+    // Commands from one client run in order so replies line up with requests
+    const client = {
+      push: config.get('textProtocol.pushUpdates') === true,
+      queue: Promise.resolve(),
+      scope: null, // Set by AUTH <token> for the rest of the connection
+      setPush: (enabled) => { client.push = enabled; }
+    };
+    this.clients.set(socket, client);
+    socket.setEncoding('utf8');
+
+    let buffer = '';
+    socket.on('data', (chunk) => {
+      buffer += chunk;
+      const lines = buffer.split(/\r?\n/);
+      buffer = lines.pop();
+
+      if (buffer.length > MAX_LINE_LENGTH) {
+        logger.warn(`Text protocol client ${remote} sent an overlong line, disconnecting`);
+        socket.destroy();
+        return;
+      }
+
+      for (const line of lines) {
+        client.queue = client.queue
+          .then(() => this.handleLine(line, (reply) => this.writeLines(socket, reply), client))
+          .catch(error => logger.error(`Error handling text protocol line from ${remote}:`, error));
+      }
+    });
+
+    socket.on('close', () => {
+      this.clients.delete(socket);
+      logger.info(`Text protocol client disconnected: ${remote}`);
+    });
+
+    socket.on('error', (error) => {
+      logger.error(`Text protocol client ${remote} error:`, error.message);
+    });
+  }
+
+  handleDatagram(packet, rinfo) {
+    if (!access.isAddressAllowed(rinfo.address)) {
+      logger.warn(`Rejected text protocol datagram from ${rinfo.address}`);
+      return;
+    }
+
+    const key = `${rinfo.address}:${rinfo.port}`;
+    const reply = (lines) => this.sendDatagram(rinfo, lines);
+    // An AUTH <token> line covers the lines after it in the same datagram
+    const client = {
+      scope: null,
+      setPush: (enabled) => {
+        if (!enabled) {
+          this.udpPushTargets.delete(key);
+          return true;
+        }
+        this.pruneUdpPushTargets();
+        if (!this.udpPushTargets.has(key) && this.udpPushTargets.size >= MAX_UDP_PUSH_TARGETS) {
+          return false;
+        }
+        this.udpPushTargets.set(key, { address: rinfo.address, port: rinfo.port, expiresAt: Date.now() + UDP_PUSH_TTL });
+        return true;
+      }
+    };
+
+    // Any command from a push target keeps its pushes coming
+    const target = this.udpPushTargets.get(key);
+    if (target) {
+      target.expiresAt = Date.now() + UDP_PUSH_TTL;
+    }
+
+    let queue = Promise.resolve();
+    for (const line of packet.toString('utf8').split(/\r?\n/)) {
+      queue = queue
+        .then(() => this.handleLine(line, reply, client))
+        .catch(error => logger.error(`Error handling text protocol datagram from ${key}:`, error));
+    }
+  }
+
+  // Run one command line and reply with key=value lines
+  async handleLine(line, reply, client) {
+    if (!line.trim()) return;
+
+    const [command, args] = parseLine(line);
+
+    // AUTH <token> works like the API's tokens: read can query and push, control can do anything
+    if (command === 'auth') {
+      const scope = auth.getTokenScope(line.trim().split(/\s+/)[1]);
+      if (!scope) {
+        reply(['error=Invalid token']);
+        return;
+      }
+      client.scope = scope;
+      reply([`auth=${scope}`]);
+      return;
+    }
+
+    logger.debug(`Text protocol: ${line.trim()}`);
+
+    const scope = auth.isAuthEnabled() ? client.scope : 'control';
+    if (!scope) {
+      reply(['error=Unauthorized']);
+      return;
+    }
+    if (scope !== 'control' && command !== 'push' && !isReadOnlyCommand(command, args)) {
+      reply(['error=Control token required']);
+      return;
+    }
+
+    if (command === 'status' || command === 'track') {
+      reply(formatLines(statusValues(this.mediaInterface.getFullStatus())));
+      return;
+    }
+
+    // PUSH ON / PUSH OFF toggles unsolicited updates for this client
+    if (command === 'push') {
+      const enabled = parseSwitch(line.trim().split(/\s+/)[1] || 'on');
+      if (typeof enabled !== 'boolean') {
+        reply(['error=Use PUSH ON or PUSH OFF']);
+        return;
+      }
+      if (client.setPush(enabled) === false) {
+        reply(['error=Too many UDP push targets']);
+        return;
+      }
+      reply([`push=${formatValue(enabled)}`]);
+      return;
+    }
+
+    try {
+      const result = await runCommand(this.mediaInterface, command, args);
+      if (result && result.success === false) {
+        reply([`error=${formatValue(result.error || 'Command failed')}`]);
+        return;
+      }
+      const { success: _success, ...values } = result || {};
+      reply([`ok=${command.toUpperCase()}`, ...formatLines(values)]);
+    } catch (error) {
+      if (!(error instanceof CommandError)) {
+        logger.error(`Error running text protocol command ${command}:`, error);
+      }
+      reply([`error=${formatValue(error.message)}`]);
+    }
+  }
+
+  writeLines(socket, lines) {
+    if (!socket.destroyed) {
+      socket.write(lines.map(line => line + '\r\n').join(''));
+    }
+  }
+
+  sendDatagram(target, lines) {
+    if (!this.udpSocket) return;
+    this.udpSocket.send(lines.join('\r\n') + '\r\n', target.port, target.address, (error) => {
+      if (error) {
+        logger.error(`Error sending text protocol reply to ${target.address}:${target.port}:`, error.message);
+      }
+    });
+  }
+
+  // Unsolicited updates go to TCP clients and UDP peers that turned push on
+  push(values) {
+    const lines = formatLines(values);
+
+    // With auth on, TCP clients that haven't sent AUTH don't get pushUpdates
+    const authEnabled = auth.isAuthEnabled();
+    for (const [socket, client] of this.clients) {
+      if (client.push && (client.scope || !authEnabled)) {
+        this.writeLines(socket, lines);
+      }
+    }
+
+    this.pruneUdpPushTargets();
+    for (const target of this.udpPushTargets.values()) {
+      this.sendDatagram(target, lines);
+    }
+  }
+
+  // Drop UDP push targets that lapsed or that the network access rules no longer allow
+  pruneUdpPushTargets() {
+    const now = Date.now();
+    for (const [key, target] of this.udpPushTargets) {
+      if (target.expiresAt <= now || !access.isAddressAllowed(target.address)) {
+        this.udpPushTargets.delete(key);
+      }
+    }
+  }
+
+  setupMediaEventHandlers() {
+    this.mediaInterface.on('track_changed', (data) => {
+      this.push({
+        title: data && data.title,
+        artist: data && data.artist,
+        album: data && data.album,
+        duration: data && data.duration
+      });
+    });
+
+    // Position ticks every second while playing; only push play/pause changes
+    this.mediaInterface.on('playback_state_changed', (data) => {
+      if (data.isPlaying === this.lastIsPlaying) return;
+      this.lastIsPlaying = data.isPlaying;
+      this.push({ playing: data.isPlaying, position: Math.round(data.position || 0) });
+    });
+
+    this.mediaInterface.on('playback_mode_changed', (data) => {
+      this.push({ shuffle: data.shuffle, repeat: data.repeat });
+    });
+
+    this.mediaInterface.on('volume_changed', (data) => {
+      this.push({ volume: data.volume, muted: data.muted });
+    });
+
+    this.mediaInterface.on('media_connected', (data) => {
+      this.push({ connected: true, app: data.appName });
+    });
+
+    this.mediaInterface.on('media_disconnected', () => {
+      this.lastIsPlaying = null;
+      this.push({ connected: false, app: '' });
+    });
+  }
+}
+
+module.exports = TextProtocolServer;
@@ -126,6 +126,12 @@ class TrayManager {
   }
 
   getNetworkAddresses() {
+    // Bound to a single interface: that's the only address clients can use
+    const host = this.httpServer.getHost();
+    if (host && host !== '0.0.0.0') {
+      return [host];
+    }
+
     const addresses = [];
     const interfaces = os.networkInterfaces();
 
@@ -170,7 +176,7 @@ class TrayManager {
       });
 
       // Artist if available
-      if (this.currentTrack.artist && this.currentTrack.artist !== 'Unknown Artist') {
+      if (this.currentTrack.artist) {
         const artist = this.currentTrack.artist.length > 40
           ? this.currentTrack.artist.substring(0, 37) + '...'
           : this.currentTrack.artist;
@@ -9,13 +9,66 @@ class Config {
     this.defaultConfig = {
       server: {
         httpPort: 6262,
-        websocketPort: 6262
+        websocketPort: 6262,
+        bindAddress: '0.0.0.0', // '0.0.0.0' (all interfaces), '127.0.0.1' (localhost only) or one interface's IP
+        allowlist: [], // Addresses/CIDR ranges allowed to connect (empty = everyone)
+        denylist: [] // Addresses/CIDR ranges always rejected
       },
       media: {
+        platform: 'auto', // 'auto' (use the OS controller) or 'mock' (simulated player)
         preferredApp: 'auto', // 'auto', 'Spotify', 'Music', 'Chrome', etc.
         allowedApps: ['all'],
         excludedApps: []
       },
+      auth: {
+        enabled: false, // Require a token for HTTP and WebSocket clients
+        readToken: null, // Query state and receive events
+        controlToken: null // Everything, including playback commands
+      },
+      osc: {
+        enabled: false,
+        listenPort: 9000, // UDP port for incoming OSC commands
+        prefix: '/mcb',
+        feedbackTargets: [] // "host:port" entries that receive state feedback
+      },
+      mqtt: {
+        enabled: false,
+        brokerUrl: 'mqtt://localhost:1883', // mqtt://, mqtts://, ws:// or wss://
+        username: null,
+        password: null,
+        clientId: null, // Random if not set
+        topicPrefix: 'mcb' // Publishes <prefix>/title etc., listens on <prefix>/command/<name>
+      },
+      textProtocol: {
+        enabled: false, // Newline-terminated ASCII commands (PLAY, SEEK 30000, STATUS)
+        tcpPort: 6263, // 0 disables the TCP listener
+        udpPort: 6263, // 0 disables the UDP listener
+        pushUpdates: false // Send unsolicited key=value updates to TCP clients by default
+      },
+      discovery: {
+        advertise: true, // Advertise _mcb._tcp and _http._tcp via mDNS/Bonjour
+        name: null // Service name; defaults to "Media Control Bridge (<hostname>)"
+      },
+      nowPlayingFiles: {
+        enabled: false,
+        files: [{ path: 'now-playing.txt', template: '{artist} - {title}' }], // Relative paths are in ~/.media-control-bridge
+        jsonPath: null, // Also write the /status JSON here, e.g. 'now-playing.json'
+        idleText: '', // Written instead of the template when nothing is playing
+        idleWhenPaused: true
+      },
+      overlay: {
+        presets: {} // Named /overlay options saved via PUT /overlay/presets/:name
+      },
+      artwork: {
+        cacheSizeMB: 100 // Artwork cache in ~/.media-control-bridge/artwork; least recently used images go first
+      },
+      history: {
+        enabled: true // Record played tracks to history.jsonl for GET /history and exports
+      },
+      rules: {
+        dryRun: false, // Log which rules would fire instead of running their actions
+        list: [] // Managed via GET/POST/DELETE /rules
+      },
       ui: {
         showNotifications: true,
         startMinimized: true
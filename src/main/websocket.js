@@ -1,5 +1,28 @@
 const WebSocket = require('ws');
 const logger = require('./utils/logger');
+const auth = require('./auth');
+const access = require('./access');
+const { runCommand, isReadOnlyCommand, CommandError } = require('./commands');
+
+// Events a client can subscribe to
+const EVENT_NAMES = [
+  'track_changed',
+  'track_started',
+  'track_ended',
+  'track_restarted',
+  'playback_state_changed',
+  'playback_mode_changed',
+  'volume_changed',
+  'connection_status',
+  'session_updated',
+  'session_removed'
+];
+
+// Events carry the server's clock (epoch ms) as time, so clients whose clock differs can still
+// extrapolate from positionUpdatedAt
+function serialize(message) {
+  return JSON.stringify(message.event ? { ...message, time: Date.now() } : message);
+}
 
 class WebSocketServer {
   constructor(mediaInterface, httpServer) {
@@ -7,19 +30,50 @@ class WebSocketServer {
     this.httpServer = httpServer;
     this.wss = null;
     this.clients = new Set();
+    this.subscriptions = new Map(); // Client -> { scope, events, positionInterval, lastIsPlaying, lastPositionSentAt, pendingPosition, positionTimer }
+
+    // Subscribe to media events once; the server itself can be stopped and restarted
+    this.setupMediaEventHandlers();
   }
 
   start() {
     // Create WebSocket server that shares the HTTP server
     this.wss = new WebSocket.Server({
       server: this.httpServer.server,
-      path: '/ws'
+      path: '/ws',
+      verifyClient: (info, callback) => {
+        if (!access.isAddressAllowed(info.req.socket.remoteAddress)) {
+          logger.warn(`Rejected WebSocket connection from ${info.req.socket.remoteAddress}`);
+          callback(false, 403, 'Forbidden');
+          return;
+        }
+
+        // Reject unauthorized clients at upgrade, remember the scope for commands
+        const scope = auth.getRequestScope(info.req);
+        if (!scope) {
+          callback(false, 401, 'Unauthorized');
+          return;
+        }
+        info.req.authScope = scope;
+        callback(true);
+      }
     });
 
-    this.wss.on('connection', (ws) => {
+    this.wss.on('connection', (ws, req) => {
       logger.info('New WebSocket client connected');
       this.clients.add(ws);
 
+      // New clients get every event until they subscribe
+      this.subscriptions.set(ws, {
+        scope: req.authScope || 'control',
+        events: null,
+        positionInterval: 0,
+        lastIsPlaying: null,
+        lastPositionSentAt: 0,
+        pendingPosition: null,
+        positionTimer: null
+      });
+
       // Send current state to newly connected client
       const status = this.mediaInterface.getFullStatus();
       this.sendToClient(ws, {
@@ -40,41 +94,161 @@ class WebSocketServer {
       if (status.connected) {
         this.sendToClient(ws, {
           event: 'playback_state_changed',
-          data: {
-            isPlaying: status.isPlaying,
-            position: status.position
-          }
+          data: this.mediaInterface.getPlaybackState()
         });
       }
 
       ws.on('close', () => {
         logger.info('WebSocket client disconnected');
-        this.clients.delete(ws);
+        this.removeClient(ws);
       });
 
       ws.on('error', (error) => {
         logger.error('WebSocket client error:', error);
-        this.clients.delete(ws);
+        this.removeClient(ws);
       });
 
-      // Handle incoming messages (if needed in the future)
+      // Handle incoming command messages
       ws.on('message', (message) => {
-        try {
-          const data = JSON.parse(message);
-          logger.debug('Received WebSocket message:', data);
-          // Could handle commands here if needed
-        } catch (error) {
-          logger.error('Error parsing WebSocket message:', error);
-        }
+        this.handleMessage(ws, message);
       });
     });
 
-    // Subscribe to media events and broadcast to all clients
-    this.setupMediaEventHandlers();
-
     logger.info('WebSocket server started on /ws');
   }
 
+  // Command protocol: { id, command, args } in, { id, result } or { id, error } out
+  async handleMessage(ws, message) {
+    let data;
+    try {
+      data = JSON.parse(message);
+    } catch (error) {
+      logger.error('Error parsing WebSocket message:', error);
+      this.sendToClient(ws, { id: null, error: 'Invalid JSON' });
+      return;
+    }
+
+    logger.debug('Received WebSocket message:', data);
+
+    const id = data && data.id !== undefined ? data.id : null;
+
+    if (!data || typeof data.command !== 'string') {
+      this.sendToClient(ws, { id, error: 'Missing command' });
+      return;
+    }
+
+    const subscription = this.subscriptions.get(ws);
+    const isReadOnly = data.command === 'subscribe' || isReadOnlyCommand(data.command, data.args || {});
+    if (subscription && subscription.scope !== 'control' && !isReadOnly) {
+      this.sendToClient(ws, { id, error: 'Control token required' });
+      return;
+    }
+
+    try {
+      // subscribe is per-connection, everything else is a media command
+      const result = data.command === 'subscribe'
+        ? this.subscribe(ws, data.args || {})
+        : await runCommand(this.mediaInterface, data.command, data.args);
+      this.sendToClient(ws, { id, result });
+    } catch (error) {
+      if (!(error instanceof CommandError)) {
+        logger.error(`Error running WebSocket command ${data.command}:`, error);
+      }
+      this.sendToClient(ws, { id, error: error.message });
+    }
+  }
+
+  // Limit which events a client receives, and optionally how often position-only updates arrive
+  subscribe(ws, args) {
+    let events = null;
+    if (args.events !== undefined && args.events !== '*') {
+      if (!Array.isArray(args.events)) {
+        throw new CommandError("events must be an array of event names or '*'");
+      }
+      const unknown = args.events.filter(name => !EVENT_NAMES.includes(name));
+      if (unknown.length > 0) {
+        throw new CommandError(`Unknown events: ${unknown.join(', ')} (available: ${EVENT_NAMES.join(', ')})`);
+      }
+      events = new Set(args.events);
+    }
+
+    let positionInterval = 0;
+    if (args.positionInterval !== undefined) {
+      positionInterval = Number(args.positionInterval);
+      if (!Number.isFinite(positionInterval) || positionInterval < 0) {
+        throw new CommandError('positionInterval must be a number of milliseconds');
+      }
+    }
+
+    const subscription = this.subscriptions.get(ws);
+    subscription.events = events;
+    subscription.positionInterval = positionInterval;
+    this.clearPendingPosition(subscription);
+
+    return {
+      events: events ? [...events] : '*',
+      positionInterval
+    };
+  }
+
+  // Check a client's subscription before sending it a broadcast
+  shouldDeliver(client, message) {
+    const subscription = this.subscriptions.get(client);
+    if (!subscription) return true;
+
+    if (subscription.events && !subscription.events.has(message.event)) {
+      return false;
+    }
+
+    // Play/pause changes always go through; position-only updates are throttled, and the
+    // latest one held back is sent when the interval is up so clients don't keep a stale position
+    if (message.event === 'playback_state_changed' && subscription.positionInterval > 0) {
+      const now = Date.now();
+      const stateChanged = subscription.lastIsPlaying !== message.data.isPlaying;
+      const wait = subscription.lastPositionSentAt + subscription.positionInterval - now;
+      if (!stateChanged && wait > 0) {
+        subscription.pendingPosition = message;
+        if (!subscription.positionTimer) {
+          subscription.positionTimer = setTimeout(() => this.sendPendingPosition(client), wait);
+        }
+        return false;
+      }
+      this.clearPendingPosition(subscription);
+      subscription.lastIsPlaying = message.data.isPlaying;
+      subscription.lastPositionSentAt = now;
+    }
+
+    return true;
+  }
+
+  sendPendingPosition(client) {
+    const subscription = this.subscriptions.get(client);
+    if (!subscription) return;
+
+    const message = subscription.pendingPosition;
+    this.clearPendingPosition(subscription);
+    if (message) {
+      subscription.lastIsPlaying = message.data.isPlaying;
+      subscription.lastPositionSentAt = Date.now();
+      this.sendToClient(client, message);
+    }
+  }
+
+  clearPendingPosition(subscription) {
+    clearTimeout(subscription.positionTimer);
+    subscription.positionTimer = null;
+    subscription.pendingPosition = null;
+  }
+
+  removeClient(ws) {
+    const subscription = this.subscriptions.get(ws);
+    if (subscription) {
+      this.clearPendingPosition(subscription);
+    }
+    this.clients.delete(ws);
+    this.subscriptions.delete(ws);
+  }
+
   setupMediaEventHandlers() {
     this.mediaInterface.on('track_changed', (data) => {
       this.broadcast({
@@ -83,6 +257,13 @@ class WebSocketServer {
       });
     });
 
+    // Each play of a track, for automations that act when a track starts or ends
+    for (const event of ['track_started', 'track_ended', 'track_restarted']) {
+      this.mediaInterface.on(event, (data) => {
+        this.broadcast({ event, data });
+      });
+    }
+
     this.mediaInterface.on('playback_state_changed', (data) => {
       this.broadcast({
         event: 'playback_state_changed',
@@ -90,16 +271,46 @@ class WebSocketServer {
       });
     });
 
+    this.mediaInterface.on('playback_mode_changed', (data) => {
+      this.broadcast({
+        event: 'playback_mode_changed',
+        data: data
+      });
+    });
+
+    this.mediaInterface.on('volume_changed', (data) => {
+      this.broadcast({
+        event: 'volume_changed',
+        data: data
+      });
+    });
+
     this.mediaInterface.on('media_connected', (data) => {
       this.broadcast({
         event: 'connection_status',
         data: {
           connected: true,
-          appName: data.appName
+          appName: data.appName,
+          session: data.session
         }
       });
     });
 
+    // Per-session state for every player, including ones that aren't active
+    this.mediaInterface.on('session_updated', (data) => {
+      this.broadcast({
+        event: 'session_updated',
+        data: data
+      });
+    });
+
+    this.mediaInterface.on('session_removed', (data) => {
+      this.broadcast({
+        event: 'session_removed',
+        data: data
+      });
+    });
+
     this.mediaInterface.on('media_disconnected', (data) => {
       this.broadcast({
         event: 'connection_status',
@@ -111,12 +322,12 @@ class WebSocketServer {
   }
 
   broadcast(message) {
-    const messageStr = JSON.stringify(message);
+    const messageStr = serialize(message);
     let successCount = 0;
     let failCount = 0;
 
     this.clients.forEach((client) => {
-      if (client.readyState === WebSocket.OPEN) {
+      if (client.readyState === WebSocket.OPEN && this.shouldDeliver(client, message)) {
         try {
           client.send(messageStr);
           successCount++;
@@ -135,26 +346,50 @@ class WebSocketServer {
   sendToClient(client, message) {
     if (client.readyState === WebSocket.OPEN) {
       try {
-        client.send(JSON.stringify(message));
+        client.send(serialize(message));
       } catch (error) {
         logger.error('Error sending to WebSocket client:', error);
       }
     }
   }
 
-  stop() {
-    if (this.wss) {
-      // Close all client connections
-      this.clients.forEach((client) => {
-        client.close();
+  // Close all clients with the given close code (1001 going away, 1012 service restart)
+  stop(code = 1001, reason = 'Server shutting down') {
+    if (!this.wss) {
+      return Promise.resolve();
+    }
+
+    // Wait for each client to finish the close handshake, or drop it after a second
+    const clientsClosed = [...this.clients].map(client => new Promise((resolve) => {
+      if (client.readyState === WebSocket.CLOSED) {
+        resolve();
+        return;
+      }
+      const timeout = setTimeout(() => {
+        client.terminate();
+        resolve();
+      }, 1000);
+      client.once('close', () => {
+        clearTimeout(timeout);
+        resolve();
       });
+      client.close(code, reason);
+    }));
+
+    const wss = this.wss;
+    this.wss = null;
+
+    return Promise.all(clientsClosed).then(() => new Promise((resolve) => {
       this.clients.clear();
+      this.subscriptions.forEach(subscription => this.clearPendingPosition(subscription));
+      this.subscriptions.clear();
 
       // Close the server
-      this.wss.close(() => {
+      wss.close(() => {
         logger.info('WebSocket server stopped');
+        resolve();
       });
-    }
+    }));
   }
 
   getClientCount() {
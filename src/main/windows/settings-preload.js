@@ -5,6 +5,7 @@ const { contextBridge, ipcRenderer } = require('electron');
 contextBridge.exposeInMainWorld('api', {
   getSettings: () => ipcRenderer.invoke('get-settings'),
   saveSettings: (settings) => ipcRenderer.invoke('save-settings', settings),
-  restartApp: () => ipcRenderer.invoke('restart-app'),
+  regenerateToken: (scope) => ipcRenderer.invoke('regenerate-token', scope),
+  exportHistory: (options) => ipcRenderer.invoke('export-history', options),
   getLogs: () => ipcRenderer.invoke('get-logs')
 });
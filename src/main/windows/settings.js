@@ -1,9 +1,24 @@
-const { BrowserWindow, ipcMain, app } = require('electron');
+const { BrowserWindow, ipcMain, dialog } = require('electron');
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
 const config = require('../utils/config');
 const logger = require('../utils/logger');
+const auth = require('../auth');
+const access = require('../access');
+const history = require('../history');
+const { parseTarget } = require('../osc');
+
+// How each settings section is named in save errors
+const SECTION_NAMES = {
+  server: 'HTTP server',
+  preferredApp: 'Preferred app',
+  osc: 'OSC',
+  mqtt: 'MQTT',
+  textProtocol: 'Text commands',
+  nowPlayingFiles: 'Now-playing files',
+  discovery: 'Network discovery'
+};
 
 class SettingsWindow {
   constructor(onSettingsChanged) {
@@ -17,7 +32,30 @@ class SettingsWindow {
     ipcMain.handle('get-settings', () => {
       return {
         httpPort: config.get('server.httpPort') || 6262,
-        preferredApp: config.get('media.preferredApp') || 'auto'
+        preferredApp: config.get('media.preferredApp') || 'auto',
+        authEnabled: auth.isAuthEnabled(),
+        readToken: config.get('auth.readToken') || '',
+        controlToken: config.get('auth.controlToken') || '',
+        bindAddress: config.get('server.bindAddress') || '0.0.0.0',
+        allowlist: config.get('server.allowlist') || [],
+        denylist: config.get('server.denylist') || [],
+        oscEnabled: config.get('osc.enabled') === true,
+        oscListenPort: config.get('osc.listenPort') || 9000,
+        oscFeedbackTargets: config.get('osc.feedbackTargets') || [],
+        mqttEnabled: config.get('mqtt.enabled') === true,
+        mqttBrokerUrl: config.get('mqtt.brokerUrl') || '',
+        mqttUsername: config.get('mqtt.username') || '',
+        mqttPassword: config.get('mqtt.password') || '',
+        mqttTopicPrefix: config.get('mqtt.topicPrefix') || 'mcb',
+        textEnabled: config.get('textProtocol.enabled') === true,
+        textTcpPort: config.get('textProtocol.tcpPort') || 0,
+        textUdpPort: config.get('textProtocol.udpPort') || 0,
+        textPushUpdates: config.get('textProtocol.pushUpdates') === true,
+        advertise: config.get('discovery.advertise') !== false,
+        historyEnabled: config.get('history.enabled') !== false,
+        nowPlayingEnabled: config.get('nowPlayingFiles.enabled') === true,
+        nowPlayingIdleText: config.get('nowPlayingFiles.idleText') || '',
+        interfaces: this.getInterfaceAddresses()
       };
     });
 
@@ -25,17 +63,163 @@ class SettingsWindow {
     ipcMain.handle('save-settings', async (_event, settings) => {
       try {
         const oldPort = config.get('server.httpPort');
+        const oldAdvertise = config.get('discovery.advertise') !== false;
+        const oldAuthEnabled = auth.isAuthEnabled();
         const oldApp = config.get('media.preferredApp');
+        const oldBindAddress = config.get('server.bindAddress') || '0.0.0.0';
+        const newPort = parseInt(settings.httpPort);
+        const newBindAddress = settings.bindAddress || '0.0.0.0';
+
+        const allowlist = settings.allowlist || [];
+        const denylist = settings.denylist || [];
+        const invalid = access.findInvalidEntries([...allowlist, ...denylist]);
+        if (invalid.length > 0) {
+          return { success: false, error: `Invalid address or range: ${invalid.join(', ')}` };
+        }
+
+        const oldOsc = {
+          enabled: config.get('osc.enabled') === true,
+          listenPort: config.get('osc.listenPort') || 9000,
+          feedbackTargets: config.get('osc.feedbackTargets') || []
+        };
+        const newOsc = {
+          enabled: settings.oscEnabled === true,
+          listenPort: parseInt(settings.oscListenPort) || 9000,
+          feedbackTargets: settings.oscFeedbackTargets || []
+        };
+        const invalidTargets = newOsc.feedbackTargets.filter(target => !parseTarget(target));
+        if (invalidTargets.length > 0) {
+          return { success: false, error: `Invalid OSC target (use host:port): ${invalidTargets.join(', ')}` };
+        }
 
-        config.set('server.httpPort', parseInt(settings.httpPort));
-        config.set('server.websocketPort', parseInt(settings.httpPort));
+        const oldMqtt = {
+          enabled: config.get('mqtt.enabled') === true,
+          brokerUrl: config.get('mqtt.brokerUrl') || '',
+          username: config.get('mqtt.username') || null,
+          password: config.get('mqtt.password') || null,
+          topicPrefix: config.get('mqtt.topicPrefix') || 'mcb'
+        };
+        const newMqtt = {
+          enabled: settings.mqttEnabled === true,
+          brokerUrl: (settings.mqttBrokerUrl || '').trim(),
+          username: settings.mqttUsername || null,
+          password: settings.mqttPassword || null,
+          topicPrefix: (settings.mqttTopicPrefix || '').trim() || 'mcb'
+        };
+        if (newMqtt.enabled && !/^(mqtts?|wss?):\/\/.+/.test(newMqtt.brokerUrl)) {
+          return { success: false, error: 'Broker URL must start with mqtt://, mqtts://, ws:// or wss://' };
+        }
+
+        const oldText = {
+          enabled: config.get('textProtocol.enabled') === true,
+          tcpPort: config.get('textProtocol.tcpPort') || 0,
+          udpPort: config.get('textProtocol.udpPort') || 0,
+          pushUpdates: config.get('textProtocol.pushUpdates') === true
+        };
+        const newText = {
+          enabled: settings.textEnabled === true,
+          tcpPort: parseInt(settings.textTcpPort) || 0,
+          udpPort: parseInt(settings.textUdpPort) || 0,
+          pushUpdates: settings.textPushUpdates === true
+        };
+
+        config.set('server.httpPort', newPort);
+        config.set('server.websocketPort', newPort);
         config.set('media.preferredApp', settings.preferredApp || 'auto');
+        config.set('server.bindAddress', newBindAddress);
+        config.set('server.allowlist', allowlist);
+        config.set('server.denylist', denylist);
+        config.set('osc.enabled', newOsc.enabled);
+        config.set('osc.listenPort', newOsc.listenPort);
+        config.set('osc.feedbackTargets', newOsc.feedbackTargets);
+        for (const [key, value] of Object.entries(newMqtt)) {
+          config.set(`mqtt.${key}`, value);
+        }
+        for (const [key, value] of Object.entries(newText)) {
+          config.set(`textProtocol.${key}`, value);
+        }
+        const oldNowPlaying = {
+          enabled: config.get('nowPlayingFiles.enabled') === true,
+          idleText: config.get('nowPlayingFiles.idleText') || ''
+        };
+        const newNowPlaying = {
+          enabled: settings.nowPlayingEnabled === true,
+          idleText: settings.nowPlayingIdleText || ''
+        };
+
+        config.set('discovery.advertise', settings.advertise !== false);
+        config.set('history.enabled', settings.historyEnabled !== false);
+        config.set('nowPlayingFiles.enabled', newNowPlaying.enabled);
+        config.set('nowPlayingFiles.idleText', newNowPlaying.idleText);
+        config.set('auth.enabled', settings.authEnabled === true);
+        if (settings.authEnabled) {
+          auth.ensureTokens();
+        }
 
-        logger.info('Settings saved:', settings);
+        logger.info('Settings saved:', {
+          httpPort: settings.httpPort,
+          preferredApp: settings.preferredApp,
+          authEnabled: settings.authEnabled,
+          bindAddress: settings.bindAddress,
+          allowlist,
+          denylist,
+          osc: newOsc,
+          mqtt: { ...newMqtt, password: newMqtt.password ? '********' : null },
+          textProtocol: newText,
+          advertise: settings.advertise,
+          historyEnabled: settings.historyEnabled,
+          nowPlayingFiles: newNowPlaying
+        });
 
-        // Notify that settings changed if port or app changed
-        if ((oldPort !== parseInt(settings.httpPort) || oldApp !== settings.preferredApp) && this.onSettingsChanged) {
-          this.onSettingsChanged();
+        // Apply changes to the running app
+        const changes = {
+          server: oldPort !== newPort || oldBindAddress !== newBindAddress,
+          preferredApp: oldApp !== settings.preferredApp,
+          osc: JSON.stringify(oldOsc) !== JSON.stringify(newOsc),
+          mqtt: JSON.stringify(oldMqtt) !== JSON.stringify(newMqtt),
+          textProtocol: JSON.stringify(oldText) !== JSON.stringify(newText),
+          nowPlayingFiles: JSON.stringify(oldNowPlaying) !== JSON.stringify(newNowPlaying),
+          // The TXT record includes whether auth is required
+          discovery: oldAdvertise !== (settings.advertise !== false) || oldAuthEnabled !== (settings.authEnabled === true)
+        };
+        // Put back one section's old config when it can't be applied, so config matches what's running
+        const restore = {
+          server: () => {
+            config.set('server.httpPort', oldPort);
+            config.set('server.websocketPort', oldPort);
+            config.set('server.bindAddress', oldBindAddress);
+          },
+          preferredApp: () => config.set('media.preferredApp', oldApp),
+          osc: () => {
+            for (const [key, value] of Object.entries(oldOsc)) {
+              config.set(`osc.${key}`, value);
+            }
+          },
+          mqtt: () => {
+            for (const [key, value] of Object.entries(oldMqtt)) {
+              config.set(`mqtt.${key}`, value);
+            }
+          },
+          textProtocol: () => {
+            for (const [key, value] of Object.entries(oldText)) {
+              config.set(`textProtocol.${key}`, value);
+            }
+          },
+          nowPlayingFiles: () => {
+            for (const [key, value] of Object.entries(oldNowPlaying)) {
+              config.set(`nowPlayingFiles.${key}`, value);
+            }
+          },
+          discovery: () => config.set('discovery.advertise', oldAdvertise)
+        };
+
+        if (Object.values(changes).some(Boolean) && this.onSettingsChanged) {
+          const errors = await this.onSettingsChanged(changes, section => restore[section] && restore[section]()) || {};
+          const failed = Object.keys(errors);
+          if (failed.length > 0) {
+            const summary = failed.map(section => `${SECTION_NAMES[section] || section}: ${errors[section]}`).join('; ');
+            return { success: false, error: `Saved, but kept the previous settings for ${summary}`, errors };
+          }
         }
 
         return { success: true };
@@ -45,11 +229,40 @@ class SettingsWindow {
       }
     });
 
-    // Restart app
-    ipcMain.handle('restart-app', () => {
-      logger.info('Restarting application...');
-      app.relaunch();
-      app.quit();
+    // Generate a new token for a scope ('read' or 'control')
+    ipcMain.handle('regenerate-token', (_event, scope) => {
+      try {
+        const token = auth.regenerateToken(scope);
+        logger.info(`Regenerated ${scope} token`);
+        return { success: true, token };
+      } catch (error) {
+        logger.error('Error regenerating token:', error);
+        return { success: false, error: error.message };
+      }
+    });
+
+    // Save play history for a date range as CSV or JSON
+    ipcMain.handle('export-history', async (_event, { format, from, to }) => {
+      try {
+        const range = history.parseHistoryQuery({ from, to });
+        const extension = format === 'csv' ? 'csv' : 'json';
+        const { canceled, filePath } = await dialog.showSaveDialog(this.window, {
+          title: 'Export Play History',
+          defaultPath: path.join(os.homedir(), `mcb-history-${new Date().toISOString().slice(0, 10)}.${extension}`),
+          filters: [{ name: extension.toUpperCase(), extensions: [extension] }]
+        });
+        if (canceled || !filePath) {
+          return { success: false, canceled: true };
+        }
+
+        fs.writeFileSync(filePath, history.export(extension, range));
+        const count = history.getEntries(range).length;
+        logger.info(`Exported ${count} history entries to ${filePath}`);
+        return { success: true, count };
+      } catch (error) {
+        logger.error('Error exporting history:', error);
+        return { success: false, error: error.message };
+      }
     });
 
     // Get logs
@@ -76,6 +289,22 @@ class SettingsWindow {
     });
   }
 
+  // IPv4 addresses the server can bind to, labelled with their interface name
+  getInterfaceAddresses() {
+    const addresses = [];
+    const interfaces = os.networkInterfaces();
+
+    for (const name of Object.keys(interfaces)) {
+      for (const iface of interfaces[name]) {
+        if (iface.family === 'IPv4' && !iface.internal) {
+          addresses.push({ name, address: iface.address });
+        }
+      }
+    }
+
+    return addresses;
+  }
+
   create() {
     if (this.window) {
       this.window.focus();
@@ -83,8 +312,8 @@ class SettingsWindow {
     }
 
     this.window = new BrowserWindow({
-      width: 300,
-      height: 250,
+      width: 340,
+      height: 900,
       resizable: true,
       minimizable: false,
       maximizable: false,
@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EventEmitter = require('events');
+
+// Keep config and logs out of the real ~/.media-control-bridge
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'mcb-test-'));
+process.env.HOME = process.env.USERPROFILE = home;
+test.after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+const config = require('../src/main/utils/config');
+const auth = require('../src/main/auth');
+const HTTPServer = require('../src/main/server');
+const { scanForBridges } = require('../src/main/discovery');
+
+test('scans share one mDNS browse', () => {
+  assert.strictEqual(scanForBridges(500), scanForBridges(2000));
+});
+
+test('describing is public with auth on, scanning needs a token', async () => {
+  config.set('auth.enabled', true);
+  auth.ensureTokens();
+
+  const server = new HTTPServer(new EventEmitter());
+  const listener = server.app.listen(0, '127.0.0.1');
+  await new Promise(resolve => listener.once('listening', resolve));
+  const base = `http://127.0.0.1:${listener.address().port}/discover`;
+
+  try {
+    const described = await fetch(base);
+    assert.strictEqual(described.status, 200);
+    assert.strictEqual((await described.json()).bridge.authRequired, true);
+
+    const anonymous = await fetch(`${base}?scan=true&timeout=500`);
+    assert.strictEqual(anonymous.status, 401);
+
+    const scanned = await fetch(`${base}?scan=true&timeout=500`, {
+      headers: { Authorization: `Bearer ${config.get('auth.readToken')}` }
+    });
+    assert.strictEqual(scanned.status, 200);
+    assert.ok(Array.isArray((await scanned.json()).bridges));
+  } finally {
+    config.set('auth.enabled', false);
+    await new Promise(resolve => listener.close(resolve));
+  }
+});
@@ -0,0 +1,126 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EventEmitter = require('events');
+const { spawn, spawnSync } = require('child_process');
+
+// Keep config and logs out of the real ~/.media-control-bridge
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'mcb-test-'));
+process.env.HOME = process.env.USERPROFILE = home;
+test.after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+const dbus = require('dbus-next');
+const LinuxMediaController = require('../src/main/media/linux');
+
+const PLAYER_NAME = 'org.mpris.MediaPlayer2.fake';
+const hasDbusDaemon = spawnSync('dbus-daemon', ['--version']).status === 0;
+
+// A minimal MPRIS player on its own connection to the test bus
+class RootInterface extends dbus.interface.Interface {
+  constructor(identity) {
+    super('org.mpris.MediaPlayer2');
+    this.identity = identity;
+  }
+
+  get Identity() { return this.identity; }
+  get DesktopEntry() { return 'fake'; }
+}
+
+RootInterface.configureMembers({
+  properties: {
+    Identity: { signature: 's', access: dbus.interface.ACCESS_READ },
+    DesktopEntry: { signature: 's', access: dbus.interface.ACCESS_READ }
+  }
+});
+
+class PlayerInterface extends dbus.interface.Interface {
+  constructor(title) {
+    super('org.mpris.MediaPlayer2.Player');
+    this.title = title;
+  }
+
+  get PlaybackStatus() { return 'Playing'; }
+  get Position() { return 1000000n; }
+  get Metadata() {
+    return {
+      'mpris:trackid': new dbus.Variant('o', `/org/mpris/MediaPlayer2/Track/${this.title}`),
+      'xesam:title': new dbus.Variant('s', this.title),
+      'mpris:length': new dbus.Variant('x', 180000000n)
+    };
+  }
+}
+
+PlayerInterface.configureMembers({
+  properties: {
+    PlaybackStatus: { signature: 's', access: dbus.interface.ACCESS_READ },
+    Position: { signature: 'x', access: dbus.interface.ACCESS_READ },
+    Metadata: { signature: 'a{sv}', access: dbus.interface.ACCESS_READ }
+  }
+});
+
+async function startPlayer(identity, title, flags) {
+  const bus = dbus.sessionBus();
+  bus.export('/org/mpris/MediaPlayer2', new RootInterface(identity));
+  bus.export('/org/mpris/MediaPlayer2', new PlayerInterface(title));
+  await bus.requestName(PLAYER_NAME, flags);
+  return bus;
+}
+
+// Resolves once the controller has emitted eventName with data matching predicate
+function waitFor(events, eventName, predicate = () => true) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${eventName}`)), 5000);
+    const check = () => {
+      const found = events.find(event => event.eventName === eventName && predicate(event.data));
+      if (found) {
+        clearTimeout(timer);
+        events.emitter.off('event', check);
+        resolve(found.data);
+      }
+    };
+    events.emitter.on('event', check);
+    check();
+  });
+}
+
+test('players appear, change owner and go away on a private session bus', { skip: !hasDbusDaemon && 'dbus-daemon not installed' }, async (t) => {
+  const daemon = spawn('dbus-daemon', ['--session', '--nofork', '--print-address=1'], { stdio: ['ignore', 'pipe', 'inherit'] });
+  t.after(() => daemon.kill());
+  process.env.DBUS_SESSION_BUS_ADDRESS = await new Promise((resolve, reject) => {
+    daemon.stdout.once('data', data => resolve(data.toString().trim()));
+    daemon.once('error', reject);
+  });
+
+  const first = await startPlayer('Fake One', 'First', dbus.NameFlag.ALLOW_REPLACEMENT | dbus.NameFlag.DO_NOT_QUEUE);
+
+  const controller = new LinuxMediaController();
+  const events = [];
+  events.emitter = new EventEmitter();
+  controller.on((eventName, data) => {
+    events.push({ eventName, data });
+    events.emitter.emit('event');
+  });
+  await controller.start();
+  t.after(() => controller.stop());
+
+  assert.strictEqual((await waitFor(events, 'media_connected')).appName, 'Fake One');
+  assert.strictEqual((await waitFor(events, 'track_changed')).title, 'First');
+
+  // Another instance takes the name over: NameOwnerChanged with both owners set
+  const second = await startPlayer('Fake Two', 'Second', dbus.NameFlag.REPLACE_EXISTING);
+  await waitFor(events, 'media_connected', data => data.appName === 'Fake Two');
+  await waitFor(events, 'track_changed', data => data.title === 'Second');
+  assert.ok(events.some(event => event.eventName === 'session_removed' && event.data.id === 'fake'));
+  assert.deepStrictEqual(controller.getSessions().map(session => [session.id, session.appName]), [['fake', 'Fake Two']]);
+
+  // The first instance lost the name, so its exit changes nothing
+  first.disconnect();
+  await new Promise(resolve => setTimeout(resolve, 200));
+  assert.strictEqual(controller.getSessions().length, 1);
+
+  second.disconnect();
+  await waitFor(events, 'media_disconnected');
+  assert.deepStrictEqual(controller.getSessions(), []);
+});
@@ -0,0 +1,188 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep config and logs out of the real ~/.media-control-bridge
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'mcb-test-'));
+process.env.HOME = process.env.USERPROFILE = home;
+test.after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+const { NowPlayingStreamParser, toTrack, getPosition } = require('../src/main/media/mac-stream');
+
+// Sample output in the format `media-control stream` writes (written by hand, not captured from a
+// Mac): nothing playing, Spotify playing, paused and resumed, a browser video with non-ASCII
+// metadata whose artwork arrives in a later diff, album and artwork removed, stopped
+const STREAM_BYTES = fs.readFileSync(path.join(__dirname, 'fixtures', 'media-control-stream.jsonl'));
+const STREAM = STREAM_BYTES.toString('utf8');
+const RECEIVED_AT = Date.parse('2025-05-26T12:00:00Z');
+
+function summarize(update) {
+  return update && {
+    app: update.app,
+    isPlaying: update.isPlaying,
+    title: update.title,
+    album: update.album,
+    elapsed: update.elapsed,
+    artwork: update.artworkData !== null
+  };
+}
+
+test('parses a stream into one update per line', () => {
+  const parser = new NowPlayingStreamParser();
+  const updates = parser.push(STREAM, RECEIVED_AT);
+
+  assert.deepStrictEqual(updates.map(summarize), [
+    null,
+    { app: 'Spotify', isPlaying: true, title: 'Windowlicker', album: 'Windowlicker', elapsed: 12500, artwork: false },
+    { app: 'Spotify', isPlaying: false, title: 'Windowlicker', album: 'Windowlicker', elapsed: 20250, artwork: false },
+    { app: 'Spotify', isPlaying: true, title: 'Windowlicker', album: 'Windowlicker', elapsed: 20250, artwork: false },
+    { app: 'System', isPlaying: true, title: 'Café del Mar — Live Set 🎧', album: null, elapsed: 0, artwork: false },
+    { app: 'System', isPlaying: true, title: 'Café del Mar — Live Set 🎧', album: null, elapsed: 0, artwork: true },
+    { app: 'System', isPlaying: true, title: 'Café del Mar — Live Set 🎧', album: null, elapsed: 0, artwork: false },
+    null
+  ]);
+});
+
+test('gives the same updates however the output is split into chunks', () => {
+  const whole = new NowPlayingStreamParser().push(STREAM, RECEIVED_AT);
+
+  for (const size of [1, 7, 64, 150]) {
+    const parser = new NowPlayingStreamParser();
+    const updates = [];
+    for (let i = 0; i < STREAM.length; i += size) {
+      updates.push(...parser.push(STREAM.slice(i, i + size), RECEIVED_AT));
+    }
+    assert.deepStrictEqual(updates, whole, `chunks of ${size}`);
+  }
+});
+
+test('gives the same updates when byte chunks split multi-byte characters', () => {
+  const whole = new NowPlayingStreamParser().push(STREAM, RECEIVED_AT);
+
+  // Odd sizes land inside the é, — and 🎧 of the browser item
+  for (const size of [1, 3, 5, 33, 4096]) {
+    const parser = new NowPlayingStreamParser();
+    const updates = [];
+    for (let i = 0; i < STREAM_BYTES.length; i += size) {
+      updates.push(...parser.push(STREAM_BYTES.subarray(i, i + size), RECEIVED_AT));
+    }
+    assert.deepStrictEqual(updates, whole, `chunks of ${size} bytes`);
+  }
+});
+
+test('holds back a partial line until its newline arrives', () => {
+  const parser = new NowPlayingStreamParser();
+  const line = '{"type":"data","diff":false,"payload":{"bundleIdentifier":"com.apple.Music","playing":true,"title":"Song"}}';
+
+  assert.deepStrictEqual(parser.push(line.slice(0, 40), RECEIVED_AT), []);
+  assert.deepStrictEqual(parser.push(line.slice(40), RECEIVED_AT), []);
+
+  const updates = parser.push('\n', RECEIVED_AT);
+  assert.strictEqual(updates.length, 1);
+  assert.strictEqual(updates[0].app, 'Music');
+  assert.strictEqual(updates[0].title, 'Song');
+});
+
+test('accepts Buffer chunks split inside a multi-byte character', () => {
+  const parser = new NowPlayingStreamParser();
+  const bytes = Buffer.from('{"type":"data","diff":false,"payload":{"title":"Café"}}\n');
+  const split = bytes.indexOf('é') + 1;
+
+  const updates = [
+    ...parser.push(bytes.subarray(0, split), RECEIVED_AT),
+    ...parser.push(bytes.subarray(split), RECEIVED_AT)
+  ];
+  assert.strictEqual(updates.length, 1);
+  assert.strictEqual(updates[0].title, 'Café');
+});
+
+test('merges diffs into the last full payload and removes keys set to null', () => {
+  const parser = new NowPlayingStreamParser();
+  parser.parseLine('{"type":"data","diff":false,"payload":{"title":"A","artist":"B","album":"C","playing":true}}', RECEIVED_AT);
+
+  const paused = parser.parseLine('{"type":"data","diff":true,"payload":{"playing":false}}', RECEIVED_AT);
+  assert.strictEqual(paused.isPlaying, false);
+  assert.strictEqual(paused.title, 'A');
+  assert.strictEqual(paused.artist, 'B');
+
+  const noAlbum = parser.parseLine('{"type":"data","diff":true,"payload":{"album":null}}', RECEIVED_AT);
+  assert.strictEqual(noAlbum.album, null);
+  assert.strictEqual(noAlbum.title, 'A');
+
+  // A full payload replaces everything rather than merging
+  const next = parser.parseLine('{"type":"data","diff":false,"payload":{"title":"D"}}', RECEIVED_AT);
+  assert.strictEqual(next.title, 'D');
+  assert.strictEqual(next.artist, null);
+});
+
+test('treats a diff before any full payload as the full state', () => {
+  const parser = new NowPlayingStreamParser();
+  const update = parser.parseLine('{"type":"data","diff":true,"payload":{"title":"A","playing":true}}', RECEIVED_AT);
+  assert.strictEqual(update.title, 'A');
+  assert.strictEqual(update.isPlaying, true);
+});
+
+test('skips malformed lines and keeps parsing', () => {
+  const parser = new NowPlayingStreamParser();
+  const updates = parser.push([
+    '{"type":"data","diff":false,"payload":{"title":"A","playing":true}}',
+    'not json',
+    '{"type":"data","diff":true,"payload":',
+    '',
+    '{"type":"data","diff":true,"payload":{"playing":false}}',
+    ''
+  ].join('\n'), RECEIVED_AT);
+
+  assert.deepStrictEqual(updates.map(update => [update.title, update.isPlaying]), [['A', true], ['A', false]]);
+});
+
+test('parseLine throws on invalid JSON and ignores lines without a payload', () => {
+  const parser = new NowPlayingStreamParser();
+  assert.throws(() => parser.parseLine('not json'), /Invalid media-control output: not json/);
+  assert.strictEqual(parser.parseLine('   '), undefined);
+  assert.strictEqual(parser.parseLine('{"type":"ping"}'), undefined);
+  assert.strictEqual(parser.parseLine('{"type":"data","payload":null}'), undefined);
+  assert.strictEqual(parser.parseLine('[]'), undefined);
+});
+
+test('reset drops the merged state and any partial line', () => {
+  const parser = new NowPlayingStreamParser();
+  parser.push('{"type":"data","diff":false,"payload":{"title":"A","artist":"B"}}\n{"type":"da', RECEIVED_AT);
+  parser.reset();
+
+  const updates = parser.push('{"type":"data","diff":true,"payload":{"title":"C"}}\n', RECEIVED_AT);
+  assert.strictEqual(updates[0].title, 'C');
+  assert.strictEqual(updates[0].artist, null);
+});
+
+test('measures the position from the payload timestamp', () => {
+  const parser = new NowPlayingStreamParser();
+  const [playing, paused] = parser.push(STREAM, RECEIVED_AT).slice(1, 3);
+
+  assert.strictEqual(playing.elapsedAt, Date.parse('2025-05-26T10:35:48Z'));
+  assert.strictEqual(getPosition(playing, playing.elapsedAt + 4000), 16500);
+  assert.strictEqual(getPosition(playing, playing.elapsedAt + 3600000), playing.duration);
+  assert.strictEqual(getPosition(paused, paused.elapsedAt + 60000), 20250);
+
+  // Without a timestamp the position was measured when the line arrived
+  const untimed = parser.parseLine('{"type":"data","diff":false,"payload":{"playing":true,"elapsedTime":1}}', RECEIVED_AT);
+  assert.strictEqual(untimed.elapsedAt, RECEIVED_AT);
+});
+
+test('toTrack reports durations in ms and the bundle id as appId', () => {
+  const [, spotify] = new NowPlayingStreamParser().push(STREAM, RECEIVED_AT);
+  assert.deepStrictEqual(toTrack(spotify), {
+    title: 'Windowlicker',
+    artist: 'Aphex Twin',
+    album: 'Windowlicker',
+    genre: null,
+    trackNumber: 1,
+    discNumber: null,
+    duration: 367400,
+    artwork: null,
+    artworkData: null,
+    appId: 'com.spotify.client'
+  });
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep config and logs out of the real ~/.media-control-bridge
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'mcb-test-'));
+process.env.HOME = process.env.USERPROFILE = home;
+test.after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+const { NowPlayingStreamParser } = require('../src/main/media/mac-stream');
+const MacMediaController = require('../src/main/media/mac');
+
+const SONG = { title: 'Song', artist: 'Band', album: 'Best Of', duration: 200 };
+
+function line(payload, diff = false) {
+  return JSON.stringify({ type: 'data', diff, payload }) + '\n';
+}
+
+// A controller in stream mode whose AppleScript lookups return the given results in turn
+function streaming(lookups) {
+  const controller = new MacMediaController();
+  controller.mode = 'stream';
+  controller.refreshStreamExtras = async () => {};
+  controller.fetchArtworkUrl = async () => null;
+  controller.fetchTrackInfo = async () => lookups.shift() || null;
+
+  const tracks = [];
+  controller.on((eventName, data) => {
+    if (eventName === 'track_changed') tracks.push(data);
+  });
+
+  const parser = new NowPlayingStreamParser();
+  const feed = async (output) => {
+    for (const nowPlaying of parser.push(output)) {
+      await controller.handleNowPlaying(nowPlaying);
+    }
+  };
+  return { controller, tracks, feed };
+}
+
+test('stream tracks with the same metadata are told apart by the app\'s track id', async () => {
+  const { tracks, feed } = streaming([
+    { title: 'Song', sourceTrackId: 'one', uri: 'spotify:track:one' },
+    { title: 'Song', sourceTrackId: 'two', uri: 'spotify:track:two' }
+  ]);
+
+  await feed(line({ bundleIdentifier: 'com.spotify.client', playing: true, elapsedTime: 150, ...SONG }));
+  await feed(line({ bundleIdentifier: 'com.spotify.client', playing: true, elapsedTime: 0, ...SONG }));
+
+  assert.deepStrictEqual(tracks.map(track => [track.title, track.sourceTrackId, track.uri]), [
+    ['Song', 'one', 'spotify:track:one'],
+    ['Song', 'two', 'spotify:track:two']
+  ]);
+});
+
+test('a failed or outdated lookup keeps the id of a track with the same metadata', async () => {
+  const { controller, tracks, feed } = streaming([
+    { title: 'Song', sourceTrackId: 'one' },
+    null,
+    { title: 'Next Song', sourceTrackId: 'two' }
+  ]);
+
+  await feed(line({ bundleIdentifier: 'com.apple.Music', playing: true, ...SONG }));
+  await feed(line({ playing: false }, true));
+  await feed(line({ playing: true }, true));
+
+  assert.deepStrictEqual(tracks.map(track => track.sourceTrackId), ['one']);
+  assert.strictEqual(controller.currentTrack.sourceTrackId, 'one');
+  assert.strictEqual(controller.currentState.isPlaying, true);
+});
+
+test('other apps in the stream are not looked up', async () => {
+  const { controller, tracks, feed } = streaming([]);
+  let lookups = 0;
+  controller.fetchTrackInfo = async () => { lookups++; return null; };
+
+  await feed(line({ bundleIdentifier: 'com.google.Chrome', playing: true, ...SONG }));
+
+  assert.strictEqual(lookups, 0);
+  assert.deepStrictEqual(tracks.map(track => [track.title, track.sourceTrackId]), [['Song', undefined]]);
+});
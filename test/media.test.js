@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep config and logs out of the real ~/.media-control-bridge
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'mcb-test-'));
+process.env.HOME = process.env.USERPROFILE = home;
+test.after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+const { MediaInterface } = require('../src/main/media');
+
+const FIRST = { title: 'First', artist: 'Band', album: 'LP', duration: 200000, appId: 'player' };
+const SECOND = { title: 'Second', artist: 'Band', album: 'LP', duration: 180000, appId: 'player' };
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// A MediaInterface fed events as a controller would send them, 30s into FIRST
+function playing() {
+  const media = new MediaInterface();
+  const events = [];
+  for (const name of ['track_changed', 'track_started', 'track_ended', 'track_restarted']) {
+    media.on(name, data => events.push({ name, title: data.title, reason: data.reason, position: data.position }));
+  }
+
+  media.handlePlatformEvent('media_connected', { appName: 'Player' });
+  media.handlePlatformEvent('track_changed', { ...FIRST, appName: 'Player' });
+  media.handlePlatformEvent('playback_state_changed', { isPlaying: false, position: 30000 });
+  events.length = 0;
+  return { media, events };
+}
+
+test('a jump back followed by the next track is a track change, not a restart', async () => {
+  const { media, events } = playing();
+
+  // The new track's position arrives just before the track itself
+  media.handlePlatformEvent('playback_state_changed', { isPlaying: true, position: 0 });
+  media.handlePlatformEvent('track_changed', { ...SECOND, appName: 'Player' });
+  await wait(1200);
+
+  assert.deepStrictEqual(events, [
+    { name: 'track_ended', title: 'First', reason: 'changed', position: 30000 },
+    { name: 'track_changed', title: 'Second', reason: undefined, position: undefined },
+    { name: 'track_started', title: 'Second', reason: undefined, position: undefined }
+  ]);
+  await media.shutdown();
+});
+
+test('a jump back with no other track is a restart once the grace period is over', async () => {
+  const { media, events } = playing();
+  const firstPlay = media.currentTrack.trackInstanceId;
+
+  media.handlePlatformEvent('playback_state_changed', { isPlaying: true, position: 0 });
+  assert.deepStrictEqual(events, []);
+
+  // An update to the same track (e.g. its artwork) doesn't cancel the restart
+  media.handlePlatformEvent('track_changed', { ...FIRST, appName: 'Player' });
+  await wait(1200);
+
+  assert.deepStrictEqual(events.map(({ name, reason, position }) => [name, reason, position]), [
+    ['track_changed', undefined, undefined],
+    ['track_ended', 'restarted', 30000],
+    ['track_changed', undefined, undefined],
+    ['track_started', undefined, undefined],
+    ['track_restarted', undefined, undefined]
+  ]);
+  assert.notStrictEqual(media.currentTrack.trackInstanceId, firstPlay);
+});
+
+test('disconnecting during the grace period ends the play where it stopped', async () => {
+  const { media, events } = playing();
+
+  media.handlePlatformEvent('playback_state_changed', { isPlaying: true, position: 0 });
+  media.handlePlatformEvent('media_disconnected');
+  await wait(1200);
+
+  assert.deepStrictEqual(events, [
+    { name: 'track_ended', title: 'First', reason: 'disconnected', position: 30000 }
+  ]);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EventEmitter = require('events');
+
+// Keep config and logs out of the real ~/.media-control-bridge
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'mcb-test-'));
+process.env.HOME = process.env.USERPROFILE = home;
+test.after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+const config = require('../src/main/utils/config');
+const auth = require('../src/main/auth');
+const OSCServer = require('../src/main/osc');
+
+const SENDER = { address: '127.0.0.1', port: 53001 };
+
+// Commands the media interface ran and status replies sent, for OSC messages from SENDER
+async function receive(...messages) {
+  const media = new EventEmitter();
+  const ran = [];
+  media.play = async () => {
+    ran.push(['play']);
+    return { success: true };
+  };
+  media.seek = async (args) => {
+    ran.push(['seek', args.position]);
+    return { success: true };
+  };
+  media.getSessionState = () => ({ position: 0, track: null });
+
+  const server = new OSCServer(media);
+  const replies = [];
+  server.sendFullState = targets => replies.push(targets);
+  for (const [address, ...args] of messages) {
+    await server.handleMessage({ address, args }, SENDER);
+  }
+  return { ran, replies };
+}
+
+test.beforeEach(() => {
+  config.set('auth.enabled', true);
+  auth.ensureTokens();
+});
+test.afterEach(() => config.set('auth.enabled', false));
+
+test('with auth on, messages without a valid token are ignored', async () => {
+  const { ran, replies } = await receive(['/mcb/play'], ['/mcb/play', 'wrong'], ['/mcb/seek', 30000], ['/mcb/status']);
+  assert.deepStrictEqual(ran, []);
+  assert.deepStrictEqual(replies, []);
+});
+
+test('the control token is the last argument and is not passed on', async () => {
+  const token = config.get('auth.controlToken');
+  const { ran } = await receive(['/mcb/play', token], ['/mcb/seek', 30000, token]);
+  assert.deepStrictEqual(ran, [['play'], ['seek', 30000]]);
+});
+
+test('the read token can ask for status but not control', async () => {
+  const token = config.get('auth.readToken');
+  const { ran, replies } = await receive(['/mcb/play', token], ['/mcb/status', token]);
+  assert.deepStrictEqual(ran, []);
+  assert.deepStrictEqual(replies, [[{ host: SENDER.address, port: SENDER.port }]]);
+});
+
+test('with auth off, no token is needed', async () => {
+  config.set('auth.enabled', false);
+  const { ran } = await receive(['/mcb/play']);
+  assert.deepStrictEqual(ran, [['play']]);
+});
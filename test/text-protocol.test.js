@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EventEmitter = require('events');
+
+// Keep config and logs out of the real ~/.media-control-bridge
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'mcb-test-'));
+process.env.HOME = process.env.USERPROFILE = home;
+test.after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+const config = require('../src/main/utils/config');
+const auth = require('../src/main/auth');
+const TextProtocolServer = require('../src/main/text-protocol');
+
+function createServer() {
+  const media = new EventEmitter();
+  media.played = 0;
+  media.getFullStatus = () => ({ connected: true, appName: 'Player', isPlaying: false, track: null });
+  media.play = async () => {
+    media.played++;
+    return { success: true };
+  };
+  return { media, server: new TextProtocolServer(media) };
+}
+
+// Replies to each line, as a TCP client sending them in order would see them
+async function send(server, client, lines) {
+  const replies = [];
+  for (const line of lines) {
+    await server.handleLine(line, reply => replies.push(...reply), client);
+  }
+  return replies;
+}
+
+test.beforeEach(() => {
+  config.set('auth.enabled', true);
+  auth.ensureTokens();
+});
+test.afterEach(() => config.set('auth.enabled', false));
+
+test('with auth on, TCP clients must send AUTH before any command', async () => {
+  const { media, server } = createServer();
+  const client = { scope: null, setPush: () => true };
+
+  assert.deepStrictEqual(await send(server, client, ['PLAY', 'STATUS', 'AUTH wrong']), [
+    'error=Unauthorized',
+    'error=Unauthorized',
+    'error=Invalid token'
+  ]);
+  assert.strictEqual(media.played, 0);
+
+  const replies = await send(server, client, [`AUTH ${config.get('auth.controlToken')}`, 'PLAY']);
+  assert.deepStrictEqual(replies, ['auth=control', 'ok=PLAY']);
+  assert.strictEqual(media.played, 1);
+});
+
+test('the read token can query and push but not control', async () => {
+  const { media, server } = createServer();
+  const client = { scope: null, setPush: () => true };
+
+  const replies = await send(server, client, [`auth ${config.get('auth.readToken')}`, 'PLAY', 'PUSH ON', 'STATUS']);
+  assert.deepStrictEqual(replies.slice(0, 3), ['auth=read', 'error=Control token required', 'push=1']);
+  assert.ok(replies.includes('app=Player'));
+  assert.strictEqual(media.played, 0);
+});
+
+test('a UDP datagram is authorized by an AUTH line before its commands', async () => {
+  const { media, server } = createServer();
+  const replies = [];
+  server.sendDatagram = (target, lines) => replies.push(...lines);
+  const rinfo = { address: '127.0.0.1', port: 50000 };
+
+  server.handleDatagram(Buffer.from('PLAY'), rinfo);
+  server.handleDatagram(Buffer.from(`AUTH ${config.get('auth.controlToken')}\nPLAY`), rinfo);
+  await new Promise(resolve => setTimeout(resolve, 50));
+
+  assert.deepStrictEqual(replies, ['error=Unauthorized', 'auth=control', 'ok=PLAY']);
+  assert.strictEqual(media.played, 1);
+
+  // Each datagram stands alone
+  server.handleDatagram(Buffer.from('PLAY'), rinfo);
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.strictEqual(replies.at(-1), 'error=Unauthorized');
+});
+
+test('with auth off, commands need no token', async () => {
+  config.set('auth.enabled', false);
+  const { media, server } = createServer();
+
+  assert.deepStrictEqual(await send(server, { scope: null, setPush: () => true }, ['PLAY']), ['ok=PLAY']);
+  assert.strictEqual(media.played, 1);
+});
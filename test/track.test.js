@@ -0,0 +1,296 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep config and logs out of the real ~/.media-control-bridge
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'mcb-test-'));
+process.env.HOME = process.env.USERPROFILE = home;
+test.after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+const dbus = require('dbus-next');
+const { normalizeTrack, isSameTrack } = require('../src/main/media/track');
+const { toNowPlaying, toTrack } = require('../src/main/media/mac-stream');
+const MacMediaController = require('../src/main/media/mac');
+const WindowsMediaController = require('../src/main/media/windows');
+const LinuxMediaController = require('../src/main/media/linux');
+const MockMediaController = require('../src/main/media/mock');
+
+const SCHEMA = [
+  'title', 'artist', 'album', 'albumArtist', 'genre', 'trackNumber', 'discNumber', 'year',
+  'duration', 'artwork', 'uri', 'sourceTrackId', 'appId', 'trackId'
+];
+
+const SEP = String.fromCharCode(31);
+
+// Every controller's track comes out with the same keys, in the same order
+function normalize(raw) {
+  const track = normalizeTrack(raw);
+  assert.deepStrictEqual(Object.keys(track), SCHEMA);
+  return track;
+}
+
+// The track a controller reports for one helper event, as MediaInterface receives it
+function windowsTrack(data) {
+  const controller = new WindowsMediaController();
+  let reported = null;
+  controller.on((eventName, eventData) => {
+    if (eventName === 'track_changed') reported = eventData;
+  });
+  controller.handleEvent({ type: 'track_changed', data });
+  return reported;
+}
+
+function linuxTrack(metadata, desktopEntry) {
+  return LinuxMediaController.prototype.buildTrackInfo(metadata, { desktopEntry });
+}
+
+test('macOS Spotify (AppleScript)', () => {
+  const output = ['Windowlicker', 'Aphex Twin', 'Windowlicker', 'Aphex Twin', '1', '1', '367000', 'spotify:track:6MzE8a4UhZKLqtHEQUvzGd'].join(SEP) + '\n';
+  assert.deepStrictEqual(normalize(MacMediaController.parseAppleScriptTrack('Spotify', output)), {
+    title: 'Windowlicker',
+    artist: 'Aphex Twin',
+    album: 'Windowlicker',
+    albumArtist: 'Aphex Twin',
+    genre: null,
+    trackNumber: 1,
+    discNumber: 1,
+    year: null,
+    duration: 367000,
+    artwork: null,
+    uri: 'spotify:track:6MzE8a4UhZKLqtHEQUvzGd',
+    sourceTrackId: '6MzE8a4UhZKLqtHEQUvzGd',
+    appId: 'com.spotify.client',
+    trackId: '6MzE8a4UhZKLqtHEQUvzGd'
+  });
+});
+
+test('macOS Spotify podcast episode with empty fields and zeros', () => {
+  const output = ['Episode 12', 'The Show', 'The Show', '', '0', '0', '2701000.0', 'spotify:episode:4rOoJ6Egrf8K2IrywzwOMk'].join(SEP);
+  const track = normalize(MacMediaController.parseAppleScriptTrack('Spotify', output));
+
+  assert.strictEqual(track.albumArtist, null);
+  assert.strictEqual(track.trackNumber, null);
+  assert.strictEqual(track.discNumber, null);
+  assert.strictEqual(track.duration, 2701000);
+  assert.strictEqual(track.sourceTrackId, null);
+  assert.match(track.trackId, /^meta:[0-9a-f]{16}$/);
+});
+
+test('macOS Music (AppleScript) with seconds and a decimal comma', () => {
+  const output = ['Song', 'Artist', '', '', 'Pop', '0', '3', '0', '245,5', 'ABCDEF0123456789'].join(SEP);
+  assert.deepStrictEqual(normalize(MacMediaController.parseAppleScriptTrack('Music', output)), {
+    title: 'Song',
+    artist: 'Artist',
+    album: null,
+    albumArtist: null,
+    genre: 'Pop',
+    trackNumber: 3,
+    discNumber: null,
+    year: null,
+    duration: 245500,
+    artwork: null,
+    uri: null,
+    sourceTrackId: 'ABCDEF0123456789',
+    appId: 'com.apple.Music',
+    trackId: 'ABCDEF0123456789'
+  });
+});
+
+test('macOS AppleScript with nothing playing', () => {
+  assert.strictEqual(MacMediaController.parseAppleScriptTrack('Spotify', '\n'), null);
+  assert.strictEqual(normalizeTrack(null), null);
+});
+
+test('macOS system session (media-control get)', () => {
+  const payload = {
+    bundleIdentifier: 'com.google.Chrome',
+    playing: true,
+    title: '  Live Set  ',
+    artist: 'DJ Test',
+    album: '',
+    duration: 3600.25,
+    elapsedTime: 10,
+    trackNumber: 0
+  };
+  assert.deepStrictEqual(normalize(toTrack(toNowPlaying(payload, Date.now()))), {
+    title: 'Live Set',
+    artist: 'DJ Test',
+    album: null,
+    albumArtist: null,
+    genre: null,
+    trackNumber: null,
+    discNumber: null,
+    year: null,
+    duration: 3600250,
+    artwork: null,
+    uri: null,
+    sourceTrackId: null,
+    appId: 'com.google.Chrome',
+    trackId: normalizeTrack({ title: 'Live Set', artist: 'DJ Test', duration: 3600250, appId: 'com.google.Chrome' }).trackId
+  });
+});
+
+test('Windows media session', () => {
+  const track = windowsTrack({
+    title: 'Song',
+    artist: 'Artist',
+    album: 'Album',
+    albumArtist: 'Album Artist',
+    genre: 'Rock, Indie',
+    trackNumber: 4,
+    duration: 215000,
+    artwork: null,
+    appId: 'Spotify.exe',
+    appName: 'Spotify'
+  });
+  assert.strictEqual(track.appName, 'Spotify');
+
+  assert.deepStrictEqual(normalize(track), {
+    title: 'Song',
+    artist: 'Artist',
+    album: 'Album',
+    albumArtist: 'Album Artist',
+    genre: 'Rock, Indie',
+    trackNumber: 4,
+    discNumber: null,
+    year: null,
+    duration: 215000,
+    artwork: null,
+    uri: null,
+    sourceTrackId: null,
+    appId: 'Spotify.exe',
+    trackId: normalizeTrack({ title: 'Song', artist: 'Artist', album: 'Album', duration: 215000, appId: 'Spotify.exe' }).trackId
+  });
+});
+
+test('Windows browser session with empty strings and zeros', () => {
+  // Browsers leave album and track number empty, and report no duration for live streams
+  const track = normalize(windowsTrack({
+    title: 'Video',
+    artist: '',
+    album: '',
+    albumArtist: '',
+    genre: null,
+    trackNumber: 0,
+    duration: 0,
+    artwork: null,
+    appId: 'MSEdge',
+    appName: 'Edge'
+  }));
+
+  assert.deepStrictEqual(
+    { artist: track.artist, album: track.album, albumArtist: track.albumArtist, trackNumber: track.trackNumber, duration: track.duration },
+    { artist: null, album: null, albumArtist: null, trackNumber: null, duration: null }
+  );
+  assert.strictEqual(track.title, 'Video');
+});
+
+test('Linux MPRIS metadata', () => {
+  const metadata = {
+    'mpris:trackid': new dbus.Variant('o', '/org/mpris/MediaPlayer2/Track/42'),
+    'xesam:title': new dbus.Variant('s', 'Song'),
+    'xesam:artist': new dbus.Variant('as', ['Artist One', 'Artist Two']),
+    'xesam:album': new dbus.Variant('s', 'Album'),
+    'xesam:albumArtist': new dbus.Variant('as', ['Artist One']),
+    'xesam:genre': new dbus.Variant('as', ['Electronic', '']),
+    'xesam:trackNumber': new dbus.Variant('i', 5),
+    'xesam:discNumber': new dbus.Variant('i', 2),
+    'xesam:contentCreated': new dbus.Variant('s', '2019-03-01T00:00:00Z'),
+    'mpris:length': new dbus.Variant('x', 367000000n),
+    'mpris:artUrl': new dbus.Variant('s', 'https://i.scdn.co/image/ab67616d0000b273'),
+    'xesam:url': new dbus.Variant('s', 'file:///home/user/Music/song.flac')
+  };
+
+  assert.deepStrictEqual(normalize(linuxTrack(metadata, 'org.gnome.Rhythmbox3')), {
+    title: 'Song',
+    artist: 'Artist One, Artist Two',
+    album: 'Album',
+    albumArtist: 'Artist One',
+    genre: 'Electronic',
+    trackNumber: 5,
+    discNumber: 2,
+    year: 2019,
+    duration: 367000,
+    artwork: 'https://i.scdn.co/image/ab67616d0000b273',
+    uri: 'file:///home/user/Music/song.flac',
+    sourceTrackId: '/org/mpris/MediaPlayer2/Track/42',
+    appId: 'org.gnome.Rhythmbox3',
+    trackId: '/org/mpris/MediaPlayer2/Track/42'
+  });
+});
+
+test('Linux MPRIS player without a track id or length', () => {
+  const track = normalize(linuxTrack({
+    'mpris:trackid': new dbus.Variant('o', '/org/mpris/MediaPlayer2/TrackList/NoTrack'),
+    'xesam:title': new dbus.Variant('s', 'Stream'),
+    'xesam:artist': new dbus.Variant('as', []),
+    'xesam:album': new dbus.Variant('s', ''),
+    'mpris:length': new dbus.Variant('x', 0n)
+  }, 'firefox'));
+
+  assert.deepStrictEqual(
+    { artist: track.artist, album: track.album, duration: track.duration, year: track.year, sourceTrackId: track.sourceTrackId },
+    { artist: null, album: null, duration: null, year: null, sourceTrackId: null }
+  );
+  assert.strictEqual(track.appId, 'firefox');
+  assert.match(track.trackId, /^meta:/);
+});
+
+test('mock player', async () => {
+  const controller = new MockMediaController([{
+    id: 'mock-test',
+    appName: 'Mock Test',
+    playlist: [{ title: 'Tone', artist: 'Mock', album: '', year: 2024, trackNumber: 0, duration: 60000 }],
+    autoplay: false
+  }]);
+  const tracks = [];
+  controller.on((eventName, data) => {
+    if (eventName === 'track_changed') tracks.push(data);
+  });
+  await controller.start();
+  controller.stop();
+
+  assert.ok(tracks.length > 0);
+  assert.deepStrictEqual(normalize(tracks[0]), {
+    title: 'Tone',
+    artist: 'Mock',
+    album: null,
+    albumArtist: null,
+    genre: null,
+    trackNumber: null,
+    discNumber: null,
+    year: 2024,
+    duration: 60000,
+    artwork: null,
+    uri: null,
+    sourceTrackId: null,
+    appId: 'mock-test',
+    trackId: normalizeTrack({ title: 'Tone', artist: 'Mock', duration: 60000, appId: 'mock-test' }).trackId
+  });
+});
+
+test('hashed track ids tell apart apps, uris and durations', () => {
+  const base = { title: 'Intro', artist: 'Band', album: 'LP', duration: 61000, appId: 'com.spotify.client' };
+  const id = normalizeTrack(base).trackId;
+
+  assert.strictEqual(normalizeTrack({ ...base, title: 'INTRO ' }).trackId, id);
+  assert.strictEqual(normalizeTrack({ ...base, duration: 61200 }).trackId, id);
+  assert.notStrictEqual(normalizeTrack({ ...base, appId: 'com.google.Chrome' }).trackId, id);
+  assert.notStrictEqual(normalizeTrack({ ...base, duration: 245000 }).trackId, id);
+  assert.notStrictEqual(normalizeTrack({ ...base, uri: 'https://example.com/live' }).trackId, id);
+  assert.strictEqual(normalizeTrack({ duration: 1000 }).trackId, null);
+});
+
+test('a duration reported after the rest of the metadata is the same track', () => {
+  const early = normalizeTrack({ title: 'Intro', artist: 'Band', appId: 'chrome' });
+  const late = normalizeTrack({ title: 'Intro', artist: 'Band', appId: 'chrome', duration: 61000 });
+  const other = normalizeTrack({ title: 'Intro', artist: 'Band', appId: 'chrome', duration: 90000 });
+
+  assert.notStrictEqual(early.trackId, late.trackId);
+  assert.ok(isSameTrack(early, late));
+  assert.ok(!isSameTrack(late, other));
+  assert.ok(!isSameTrack(early, normalizeTrack({ title: 'Intro', artist: 'Band', appId: 'firefox' })));
+  assert.ok(!isSameTrack(null, late));
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const EventEmitter = require('events');
+
+// Keep config and logs out of the real ~/.media-control-bridge
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'mcb-test-'));
+process.env.HOME = process.env.USERPROFILE = home;
+test.after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+const WebSocket = require('ws');
+const WebSocketServer = require('../src/main/websocket');
+
+test('events carry the server time, command replies do not', async () => {
+  const media = new EventEmitter();
+  media.getFullStatus = () => ({ connected: true, appName: 'Player', track: null });
+  media.getPlaybackState = () => ({ isPlaying: true, position: 1000, positionUpdatedAt: Date.now(), playbackRate: 1 });
+
+  const server = http.createServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const wsServer = new WebSocketServer(media, { server });
+  wsServer.start();
+
+  const client = new WebSocket(`ws://127.0.0.1:${server.address().port}/ws`);
+  const messages = [];
+  client.on('message', data => messages.push(JSON.parse(data)));
+  await new Promise(resolve => client.on('open', resolve));
+
+  const before = Date.now();
+  client.send(JSON.stringify({ id: 7, command: 'subscribe', args: { events: '*' } }));
+  await new Promise(resolve => setTimeout(resolve, 100));
+  media.emit('playback_state_changed', { isPlaying: false, position: 2000, positionUpdatedAt: before, playbackRate: 1 });
+  await new Promise(resolve => setTimeout(resolve, 100));
+
+  client.close();
+  await wsServer.stop();
+  await new Promise(resolve => server.close(resolve));
+
+  const events = messages.filter(message => message.event);
+  assert.deepStrictEqual(events.map(message => message.event), ['connection_status', 'playback_state_changed', 'playback_state_changed']);
+  for (const message of events) {
+    assert.strictEqual(typeof message.time, 'number');
+    assert.ok(Math.abs(message.time - before) < 5000);
+  }
+  assert.ok(events[2].time >= before);
+
+  const reply = messages.find(message => message.id === 7);
+  assert.ok(reply && !('time' in reply));
+});
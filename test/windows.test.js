@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Keep config and logs out of the real ~/.media-control-bridge
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'mcb-test-'));
+process.env.HOME = process.env.USERPROFILE = home;
+test.after(() => fs.rmSync(home, { recursive: true, force: true }));
+
+const WindowsMediaController = require('../src/main/media/windows');
+
+// Events the controller reports for helper events, as MediaInterface receives them
+function report(...events) {
+  const controller = new WindowsMediaController();
+  const reported = [];
+  controller.on((eventName, data) => reported.push({ eventName, data }));
+  for (const event of events) {
+    controller.handleEvent(event);
+  }
+  return { controller, reported };
+}
+
+test('forwards when the helper measured the position and the playback rate', () => {
+  const { reported } = report({
+    type: 'playback_state_changed',
+    data: { isPlaying: true, position: 42000, positionUpdatedAt: 1748255748000, playbackRate: 1.5 }
+  });
+
+  assert.deepStrictEqual(reported, [{
+    eventName: 'playback_state_changed',
+    data: { isPlaying: true, position: 42000, positionUpdatedAt: 1748255748000, playbackRate: 1.5 }
+  }]);
+});
+
+test('an older helper without timeline fields is measured on arrival at normal speed', () => {
+  const before = Date.now();
+  const { reported } = report({ type: 'playback_state_changed', data: { isPlaying: false, position: 1000 } });
+  const { data } = reported[0];
+
+  assert.ok(data.positionUpdatedAt >= before && data.positionUpdatedAt <= Date.now());
+  assert.strictEqual(data.playbackRate, 1);
+});
+
+test('brings session positions forward from when the helper measured them', () => {
+  const measuredAt = Date.now() - 10000;
+  const session = { id: 'Spotify.exe', appName: 'Spotify', shuffle: false, repeat: 'off', track: null };
+  const { reported } = report({
+    type: 'sessions',
+    data: [
+      { ...session, isPlaying: true, position: 5000, positionUpdatedAt: measuredAt, playbackRate: 2 },
+      { ...session, id: 'MSEdge', isPlaying: false, position: 5000, positionUpdatedAt: measuredAt, playbackRate: 1 }
+    ]
+  });
+
+  const [playing, paused] = reported.map(({ data }) => data.position);
+  assert.ok(playing >= 25000 && playing < 25500, `playing position ${playing}`);
+  assert.strictEqual(paused, 5000);
+});